@@ -74,10 +74,10 @@ module.exports = function(grunt) {
         }
       },
       target: {
-        src: ['src/Config.js', 'src/Interface.js', 'src/Utils.js', 'src/SimplexNoise.js', 'src/BorderPalette.js', 'src/ColorPalette.js',
+        src: ['src/Config.js', 'src/Interface.js', 'src/Utils.js', 'src/SimplexNoise.js', 'src/SpatialHash.js', 'src/Clock.js', 'src/Collision.js', 'src/Overlay.js', 'src/Trail.js', 'src/BorderPalette.js', 'src/ColorPalette.js',
             'src/ColorTable.js', 'src/Caption.js', 'src/InputMenu.js', 'src/Mover.js', 'src/Agent.js', 'src/Walker.js', 'src/Sensor.js',
-            'src/Connector.js', 'src/Point.js', 'src/Particle.js', 'src/ParticleSystem.js', 'src/Oscillator.js', 'src/Liquid.js',
-            'src/Attractor.js', 'src/Repeller.js', 'src/Stimulus.js', 'src/FlowField.js', 'src/FlowFieldMarker.js'],
+            'src/Connector.js', 'src/Point.js', 'src/Path.js', 'src/Particle.js', 'src/ParticleSystem.js', 'src/Oscillator.js', 'src/Liquid.js',
+            'src/Attractor.js', 'src/Repeller.js', 'src/Obstacle.js', 'src/Stimulus.js', 'src/Field.js', 'src/FlowField.js', 'src/FlowFieldMarker.js'],
         dest: 'release/' + latest + '.js'
       }
     },
@@ -91,10 +91,10 @@ module.exports = function(grunt) {
         report: 'min'
       },
       target: {
-        src: ['src/Config.js', 'src/Interface.js', 'src/Utils.js', 'src/SimplexNoise.js', 'src/BorderPalette.js', 'src/ColorPalette.js',
+        src: ['src/Config.js', 'src/Interface.js', 'src/Utils.js', 'src/SimplexNoise.js', 'src/SpatialHash.js', 'src/Clock.js', 'src/Collision.js', 'src/Overlay.js', 'src/Trail.js', 'src/BorderPalette.js', 'src/ColorPalette.js',
             'src/ColorTable.js', 'src/Caption.js', 'src/InputMenu.js', 'src/Mover.js', 'src/Agent.js', 'src/Walker.js', 'src/Sensor.js',
-            'src/Connector.js', 'src/Point.js', 'src/Particle.js', 'src/ParticleSystem.js', 'src/Oscillator.js', 'src/Liquid.js',
-            'src/Attractor.js', 'src/Repeller.js', 'src/Stimulus.js', 'src/FlowField.js', 'src/FlowFieldMarker.js'],
+            'src/Connector.js', 'src/Point.js', 'src/Path.js', 'src/Particle.js', 'src/ParticleSystem.js', 'src/Oscillator.js', 'src/Liquid.js',
+            'src/Attractor.js', 'src/Repeller.js', 'src/Obstacle.js', 'src/Stimulus.js', 'src/Field.js', 'src/FlowField.js', 'src/FlowFieldMarker.js'],
         dest: 'release/' + latest + '.min.js'
       }
     },
@@ -27,6 +27,9 @@ describe("Agent", function() {
     expect(getDataType(obj.seekTarget)).toEqual('object');
     expect(getDataType(obj.flocking)).toEqual('boolean');
     expect(getDataType(obj.desiredSeparation)).toEqual('number');
+    expect(getDataType(obj.alignRadius)).toEqual('number');
+    expect(getDataType(obj.cohesionRadius)).toEqual('number');
+    expect(obj.viewAngle).toEqual(360);
     expect(getDataType(obj.separateStrength)).toEqual('number');
     expect(getDataType(obj.alignStrength)).toEqual('number');
     expect(getDataType(obj.cohesionStrength)).toEqual('number');
@@ -171,6 +174,203 @@ describe("Agent", function() {
     expect(system.lastItem().flock(system.getAllItemsByName('Agent')).y.toFixed(2)).toEqual('-0.03');
   });
 
+  it("should ignore Agents outside its flocking radii and view angle." , function() {
+
+    var agentA = system.add('Agent', {
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector(1, 0),
+      cohesionRadius: 50,
+      viewAngle: 180
+    });
+
+    var agentB = system.add('Agent', {
+      location: new Burner.Vector(130, 100)
+    });
+
+    expect(agentA.isInViewAngle(agentB)).toEqual(true);
+    expect(agentA.cohesion([agentA, agentB]).x).toBeGreaterThan(0);
+
+    agentB.location = new Burner.Vector(70, 100); // behind agentA
+    expect(agentA.isInViewAngle(agentB)).toEqual(false);
+    expect(agentA.cohesion([agentA, agentB]).x).toEqual(0);
+
+    agentA.viewAngle = 360;
+    agentB.location = new Burner.Vector(170, 100); // outside cohesionRadius
+    expect(agentA.cohesion([agentA, agentB]).x).toEqual(0);
+    expect(agentA.getFlockingRadius()).toEqual(50);
+  });
+
+  it("should apply flocking rules per item name when flockWith is set." , function() {
+
+    var fish = system.add('Agent', {
+      name: 'Fish',
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector(),
+      flockWith: {
+        Shark: {separate: 2}
+      }
+    });
+
+    var shark = system.add('Agent', {
+      name: 'Shark',
+      location: new Burner.Vector(110, 100),
+      velocity: new Burner.Vector()
+    });
+
+    var agent = system.add('Agent', {
+      location: new Burner.Vector(90, 100),
+      velocity: new Burner.Vector()
+    });
+
+    expect(fish.separate([fish, shark, agent]).x).toEqual(0); // no other Fish
+    expect(fish.separate([fish, shark, agent], 'Shark').x).toBeLessThan(0);
+
+    fish.flock([fish, shark, agent]);
+    expect(fish.acceleration.x).toBeLessThan(0); // moves away from the Shark only
+    expect(fish.acceleration.y).toEqual(0);
+  });
+
+  it("should only flock with Agents of its own className when flockWith is not set." , function() {
+
+    var red = system.add('Agent', {
+      className: 'red',
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector()
+    });
+
+    var redB = system.add('Agent', {
+      className: 'red',
+      location: new Burner.Vector(120, 100),
+      velocity: new Burner.Vector()
+    });
+
+    var blue = system.add('Agent', {
+      className: 'blue',
+      location: new Burner.Vector(90, 100),
+      velocity: new Burner.Vector(),
+      flockWith: {
+        red: {separate: 2}
+      }
+    });
+
+    expect(red.cohesion([red, redB, blue]).x).toBeGreaterThan(0); // toward the other red Agent only
+    expect(red.separate([red, blue]).x).toEqual(0);
+    expect(red.align([red, blue]).x).toEqual(0);
+    expect(red.cohesion([red, blue]).x).toEqual(0);
+
+    expect(blue.separate([red, redB, blue], 'red').x).toBeLessThan(0); // flockWith matches className
+    blue.flock([red, redB, blue]);
+    expect(blue.acceleration.x).toBeLessThan(0);
+  });
+
+  it("should combine steering forces by weight or by priority." , function() {
+
+    var target = {
+      location: new Burner.Vector(1000, 100)
+    };
+
+    var agent = system.add('Agent', {
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector(),
+      mass: 1,
+      maxSteeringForce: 1,
+      seekTarget: target,
+      fleeTarget: target,
+      steeringWeights: {
+        seek: 3
+      }
+    });
+
+    expect(agent.applyForces().x).toEqual(2); // seek * 3 + flee
+
+    agent.acceleration = new Burner.Vector();
+    agent.steeringMode = 'priority';
+    agent.steeringPriority = ['flee', 'seek'];
+    expect(agent.applyForces().x).toEqual(-1); // flee uses up maxSteeringForce
+
+    agent.acceleration = new Burner.Vector();
+    agent.steeringPriority = ['seek', 'flee'];
+    expect(agent.applyForces().x).toEqual(1);
+  });
+
+  it("should drive two wheels from its sensors when drive = 'differential'.", function() {
+
+    var left = system.add('Sensor', {type: 'heat', offsetAngle: -30}),
+        right = system.add('Sensor', {type: 'heat', offsetAngle: 30});
+
+    var agent = system.add('Agent', {
+      sensors: [left, right],
+      drive: 'differential',
+      wheelSpeed: 1,
+      wheelBase: 20,
+      maxSpeed: 4,
+      pointToDirection: false,
+      location: new Burner.Vector(100, 100)
+    });
+
+    left.intensity = 0.5; // a stimulus on the left
+    agent._drive();
+    expect(agent.leftWheelSpeed).toEqual(3);
+    expect(agent.rightWheelSpeed).toEqual(1);
+    expect(agent.angle).toEqual(Flora.Utils.radiansToDegrees(0.1)); // turns away
+    expect(Math.round(agent.velocity.mag())).toEqual(2);
+
+    agent.angle = 0;
+    agent.wiring = 'AGGRESSION';
+    agent._drive();
+    expect(agent.angle).toEqual(-Flora.Utils.radiansToDegrees(0.1)); // turns toward
+
+    agent.angle = 0;
+    agent.wiring = 'LOVE';
+    agent.wheelSpeed = 4;
+    agent._drive();
+    expect(agent.leftWheelSpeed).toEqual(2);
+    expect(agent.angle).toBeLessThan(0);
+    expect(Math.round(agent.velocity.mag())).toEqual(3); // slows down
+
+    agent.wiring = [{sensor: 1, wheel: 'left', weight: -2}];
+    right.intensity = 1;
+    agent._drive();
+    expect(agent.leftWheelSpeed).toEqual(0);
+
+    agent.wiring = 'SHY';
+    expect(function() {
+      agent._drive();
+    }).toThrow();
+  });
+
+  it("should move toward a stimulus with the LOVE wiring and default speeds.", function() {
+
+    var world = system.firstWorld();
+    world.gravity = new Burner.Vector();
+    world.c = 0;
+
+    var stimulus = system.add('Stimulus', {
+      type: 'heat',
+      location: new Burner.Vector(250, 130)
+    });
+    var left = system.add('Sensor', {type: 'heat', offsetAngle: -30}),
+        right = system.add('Sensor', {type: 'heat', offsetAngle: 30});
+
+    var agent = system.add('Agent', {
+      sensors: [left, right],
+      drive: 'differential',
+      wiring: 'LOVE',
+      location: new Burner.Vector(100, 100)
+    });
+    expect(agent.wheelSpeed).toBeGreaterThan(0);
+
+    var distance = agent.location.distance(stimulus.location);
+    for (var i = 0; i < 30; i++) {
+      system.clock++;
+      agent.step();
+      left.step();
+      right.step();
+    }
+    expect(agent.location.distance(stimulus.location)).toBeLessThan(distance);
+    expect(agent.angle).toBeGreaterThan(0); // turned toward the stimulus
+  });
+
   // getLocation
   // getVelocity
 
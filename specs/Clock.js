@@ -0,0 +1,124 @@
+describe("Clock", function() {
+
+  var Clock, system, now, time;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(null, null, document.getElementById('worldA'));
+    Clock = Flora.Clock;
+    now = Clock.now;
+    time = 0;
+    Clock.now = function() {
+      return time;
+    };
+    Clock._lastTime = null;
+    Clock._clock = -1;
+  });
+
+  afterEach(function() {
+    Clock.now = now;
+    Clock._lastTime = null;
+    Clock._clock = -1;
+    system._destroySystem();
+  });
+
+  it("should measure the time between frames once per frame.", function() {
+
+    expect(Clock.getDelta()).toEqual(1);
+
+    system.clock++;
+    time = Clock.frameDuration * 2;
+    expect(Clock.getDelta()).toEqual(2);
+    time = Clock.frameDuration * 5;
+    expect(Clock.getDelta()).toEqual(2);
+
+    system.clock++;
+    time = 100000;
+    expect(Clock.getDelta()).toEqual(Clock.maxDelta);
+  });
+
+  it("should return the number of fixed timesteps due and carry over unused time.", function() {
+
+    var item = {fixedTimestep: true, dt: 1, maxSubsteps: 3, timeAccumulator: 0};
+
+    expect(Clock.getSteps({fixedTimestep: false})).toEqual(1);
+
+    Clock.getDelta();
+    system.clock++;
+    time = Clock.frameDuration * 0.5;
+    expect(Clock.getSteps(item)).toEqual(0);
+
+    system.clock++;
+    time = Clock.frameDuration * 2;
+    expect(Clock.getSteps(item)).toEqual(2);
+    expect(item.timeAccumulator).toEqual(0);
+
+    system.clock++;
+    time = Clock.frameDuration * 8;
+    expect(Clock.getSteps(item)).toEqual(3);
+    expect(item.timeAccumulator).toEqual(0);
+  });
+
+  it("should move a Mover with fixedTimestep = true the same distance at any frame rate.", function() {
+
+    var world = system.firstItem();
+    world.gravity = new Burner.Vector();
+    world.c = 0;
+
+    var slow = system.add('Mover', {
+      fixedTimestep: true,
+      velocity: new Burner.Vector(1, 0),
+      location: new Burner.Vector(100, 100)
+    });
+    var fast = system.add('Mover', {
+      fixedTimestep: true,
+      integrator: 'verlet',
+      dt: 0.5,
+      velocity: new Burner.Vector(1, 0),
+      location: new Burner.Vector(100, 200)
+    });
+
+    Clock.getDelta();
+    for (var i = 0; i < 4; i++) {
+      system.clock++;
+      time += Clock.frameDuration * 2;
+      slow.step();
+      fast.step();
+    }
+
+    expect(slow.location.x).toEqual(108);
+    expect(fast.location.x).toEqual(108);
+  });
+
+  it("should average the last and current accelerations with integrator = 'verlet'.", function() {
+
+    var obj = system.add('Mover', {
+      integrator: 'verlet',
+      velocity: new Burner.Vector(),
+      location: new Burner.Vector(100, 100)
+    });
+
+    obj.acceleration.x = 2;
+    obj._integrate(1);
+    expect(obj.location.x).toEqual(101); // x + v * dt + a * dt * dt / 2
+    expect(obj.velocity.x).toEqual(0);
+
+    obj.acceleration.x = 4;
+    obj._integrate(1);
+    expect(obj.velocity.x).toEqual(3); // v + (2 + 4) / 2 * dt
+    expect(obj.location.x).toEqual(106);
+
+    obj.maxSpeed = 2;
+    obj.acceleration.x = 4;
+    obj._integrate(1);
+    expect(obj.velocity.x).toEqual(2);
+    expect(obj.location.x).toEqual(108); // clamped to maxSpeed * dt
+  });
+});
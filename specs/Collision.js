@@ -0,0 +1,134 @@
+describe("Collision", function() {
+
+  var Collision, system;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(null, null, document.getElementById('worldA'));
+    Collision = Flora.Collision;
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+  });
+
+  it("should detect overlapping circles and boxes.", function() {
+
+    var a = {location: new Burner.Vector(100, 100), width: 20, height: 20},
+        b = {location: new Burner.Vector(115, 100), width: 20, height: 20},
+        contact;
+
+    contact = Collision.getContact(a, b);
+    expect(contact.x).toEqual(1);
+    expect(contact.y).toEqual(0);
+    expect(contact.depth).toEqual(5);
+
+    b.location.x = 125;
+    expect(Collision.getContact(a, b)).toEqual(null);
+
+    a.collisionShape = 'box';
+    b.collisionShape = 'box';
+    b.location = new Burner.Vector(110, 118);
+    contact = Collision.getContact(a, b);
+    expect(contact.x).toEqual(0);
+    expect(contact.y).toEqual(1);
+    expect(contact.depth).toEqual(2);
+
+    b.collisionShape = 'circle';
+    b.location = new Burner.Vector(100, 118);
+    contact = Collision.getContact(a, b);
+    expect(contact.y).toEqual(1);
+    expect(contact.depth).toEqual(2);
+  });
+
+  it("should exchange momentum based on mass and restitution.", function() {
+
+    var a = system.add('Mover', {
+      collide: true,
+      restitution: 1,
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector(2, 0),
+      checkWorldEdges: false
+    });
+    var b = system.add('Mover', {
+      collide: true,
+      restitution: 1,
+      location: new Burner.Vector(115, 100),
+      velocity: new Burner.Vector(0, 0),
+      checkWorldEdges: false
+    });
+
+    Collision.resolve(a, b, Collision.getContact(a, b));
+    expect(a.velocity.x).toEqual(0);
+    expect(b.velocity.x).toEqual(2);
+    expect(b.location.x - a.location.x).toEqual(20);
+
+    a.velocity.x = 2;
+    b.velocity.x = 0;
+    a.restitution = 0;
+    b.location.x = a.location.x + 15;
+    Collision.resolve(a, b, Collision.getContact(a, b));
+    expect(a.velocity.x).toEqual(1);
+    expect(b.velocity.x).toEqual(1);
+
+    b.isStatic = true;
+    a.velocity.x = 2;
+    b.velocity.x = 0;
+    a.restitution = 1;
+    b.location.x = a.location.x + 15;
+    Collision.resolve(a, b, Collision.getContact(a, b));
+    expect(a.velocity.x).toEqual(-2);
+    expect(b.location.x - a.location.x).toEqual(20);
+  });
+
+  it("should make Movers that do not point in their direction spin after a glancing collision.", function() {
+
+    var a = system.add('Mover', {
+      collide: true,
+      pointToDirection: false,
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector(0, 0)
+    });
+    var b = system.add('Mover', {
+      collide: true,
+      pointToDirection: false,
+      location: new Burner.Vector(100, 118),
+      velocity: new Burner.Vector(3, -1)
+    });
+
+    Collision.resolve(a, b, Collision.getContact(a, b));
+    expect(a.angularVelocity).not.toEqual(0);
+    expect(b.angularVelocity).not.toEqual(0);
+    expect(a.velocity.x).toBeGreaterThan(0);
+  });
+
+  it("should keep Movers with collide = true from overlapping.", function() {
+
+    var a = system.add('Mover', {
+      collide: true,
+      location: new Burner.Vector(100, 100),
+      velocity: new Burner.Vector(3, 0),
+      checkWorldEdges: false
+    });
+    var b = system.add('Mover', {
+      collide: true,
+      location: new Burner.Vector(150, 100),
+      velocity: new Burner.Vector(-3, 0),
+      checkWorldEdges: false
+    });
+
+    for (var i = 0; i < 20; i++) {
+      system._stepForward();
+    }
+    expect(b.location.x - a.location.x).not.toBeLessThan(20);
+    expect(a.velocity.x).toBeLessThan(0);
+    expect(b.velocity.x).toBeGreaterThan(0);
+  });
+});
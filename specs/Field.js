@@ -0,0 +1,111 @@
+describe("Field", function() {
+
+  var system;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(null, null, document.getElementById('worldA'));
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+  });
+
+  it("should diffuse and decay its values.", function() {
+    var field = system.add('Field', {
+      type: 'Heat',
+      resolution: 20,
+      diffusion: 0.5,
+      decay: 0
+    });
+    expect(field.type).toEqual('heat');
+    expect(field.heatMapColor).toEqual([255, 69, 0]);
+    expect(function() {
+      system.add('Field');
+    }).toThrow();
+
+    field.addValue(new Burner.Vector(110, 110), 8);
+    field.step();
+    expect(field.values[5 * field.cols + 5]).toEqual(4);
+    expect(field.values[5 * field.cols + 6]).toEqual(1);
+    expect(field.values[4 * field.cols + 5]).toEqual(1);
+    expect(field.getValue(new Burner.Vector(110, 110))).toEqual(4);
+    expect(field.getValue(new Burner.Vector(120, 110))).toEqual(2.5);
+
+    var location = new Burner.Vector(120, 110);
+    var getCell = field._getCell;
+    spyOn(field, '_getCell').andCallFake(function(col, row) { // location is unchanged while sampling
+      expect(location.x).toEqual(120);
+      expect(location.y).toEqual(110);
+      return getCell.call(field, col, row);
+    });
+    expect(field.getGradient(location).x).toBeLessThan(0);
+    expect(location.x).toEqual(120);
+    expect(location.y).toEqual(110);
+
+    field.diffusion = 0;
+    field.decay = 0.5;
+    field.step();
+    expect(field.values[5 * field.cols + 5]).toEqual(2);
+  });
+
+  it("should add the emission of Stimuli of its type.", function() {
+    var field = system.add('Field', {
+      type: 'heat',
+      diffusion: 0,
+      decay: 0
+    });
+    system.add('Stimulus', {
+      type: 'heat',
+      emission: 5,
+      location: new Burner.Vector(110, 110)
+    });
+    system.add('Stimulus', {
+      type: 'cold',
+      location: new Burner.Vector(110, 110)
+    });
+    field.step();
+    field.step();
+    expect(field.getValue(new Burner.Vector(110, 110))).toEqual(10);
+  });
+
+  it("should be sampled by Sensors of its type.", function() {
+    var activated = 0;
+    var field = system.add('Field', {
+      type: 'heat',
+      diffusion: 0.5,
+      decay: 0
+    });
+    var sensor = system.add('Sensor', {
+      type: 'heat',
+      location: new Burner.Vector(130, 110),
+      onActivate: function() {
+        activated++;
+      }
+    });
+    expect(sensor.getField()).toBe(field);
+
+    sensor.step();
+    expect(sensor.activated).toEqual(false);
+
+    field.addValue(new Burner.Vector(110, 110), 10);
+    field.step();
+    sensor.step();
+    expect(sensor.activated).toEqual(true);
+    expect(activated).toEqual(1);
+    expect(sensor.target).toBe(sensor.fieldTarget);
+    expect(sensor.intensity).toEqual(0.125);
+    expect(sensor.target.location.x).toBeLessThan(sensor.location.x); // points uphill
+    expect(sensor.readings.length).toEqual(1);
+
+    sensor.detects = {className: 'Heat'};
+    expect(sensor.getField()).toEqual(null);
+  });
+});
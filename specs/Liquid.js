@@ -34,4 +34,22 @@ describe("Liquid", function() {
     expect(obj.name).toEqual('Liquid');
   });
 
+  it("should only drag Agents inside it.", function() {
+    obj.location = new Burner.Vector(100, 100);
+    var inside = system.add('Agent', {
+      location: new Burner.Vector(110, 100),
+      velocity: new Burner.Vector(2, 0)
+    });
+    var outside = system.add('Agent', {
+      location: new Burner.Vector(400, 100),
+      velocity: new Burner.Vector(2, 0)
+    });
+    spyOn(inside, 'drag').andCallThrough();
+    spyOn(outside, 'drag').andCallThrough();
+    inside.applyForces();
+    outside.applyForces();
+    expect(inside.drag).toHaveBeenCalledWith(obj);
+    expect(outside.drag).not.toHaveBeenCalled();
+  });
+
 });
\ No newline at end of file
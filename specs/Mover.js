@@ -90,6 +90,51 @@ describe("Mover", function() {
     expect(Math.round(mover._seek(mover.seekTarget).y)).toEqual(-7);
   });
 
+  it("should have steering methods flee(), arrive(), pursue(), evade() and wander().", function() {
+
+    var target = {
+      location: new Burner.Vector(100, 0),
+      velocity: new Burner.Vector(0, 10)
+    };
+
+    var mover = system.add('Mover', {
+      location: new Burner.Vector(0, 0),
+      maxSpeed: 10,
+      slowingRadius: 200
+    });
+
+    expect(mover.flee(target).x).toEqual(-10);
+    expect(mover.arrive(target).x).toEqual(5); // slows down within slowingRadius
+    expect(mover.arrive(target, 0).x).toEqual(10);
+    expect(mover.pursue(target).y).toBeGreaterThan(0); // steers toward the predicted location
+    expect(mover.evade(target).y).toBeLessThan(0);
+    expect(Math.round(mover.wander().mag())).toEqual(10);
+  });
+
+  it("should reuse its scratch vectors in steering methods.", function() {
+
+    var target = {
+      location: new Burner.Vector(100, 0),
+      velocity: new Burner.Vector(0, 10)
+    };
+
+    var mover = system.add('Mover', {
+      location: new Burner.Vector(0, 0),
+      maxSpeed: 10
+    });
+
+    var force = mover.arrive(target);
+    expect(mover.flee(target)).toBe(force);
+    expect(mover.wander()).toBe(force);
+    expect(mover.pursue(target)).toBe(mover.pursue(target));
+
+    var agent = system.add('Agent', {
+      location: new Burner.Vector(0, 0)
+    });
+    expect(agent.separate([agent])).toBe(agent.separateSumForceVector);
+    expect(agent.separate([agent]).x).toEqual(0);
+  });
+
   it("should have a method checkWorldEdges() that determines if this object is outside the world bounds.", function() {
 
     var world = system.firstItem();
@@ -119,5 +164,167 @@ describe("Mover", function() {
     expect(mover.world.width > mover.location.x).toEqual(true);
 
   });
+
+  it("should have angular physics and limit its turn rate.", function() {
+
+    var world = system.firstItem();
+    world.gravity = new Burner.Vector();
+    world.c = 0;
+
+    var mover = system.add('Mover', {
+      width: 20,
+      height: 10,
+      mass: 12,
+      pointToDirection: false,
+      location: new Burner.Vector(100, 100)
+    });
+
+    expect(mover.getMomentOfInertia()).toEqual(500);
+
+    mover.applyForceAtPoint(new Burner.Vector(0, 50), new Burner.Vector(110, 100));
+    expect(mover.angularAcceleration).toEqual(Flora.Utils.radiansToDegrees(1));
+    mover.step();
+    expect(mover.angularVelocity).toEqual(Flora.Utils.radiansToDegrees(1));
+    expect(mover.angle).toEqual(Flora.Utils.radiansToDegrees(1));
+    expect(mover.angularAcceleration).toEqual(0);
+
+    var agent = system.add('Mover', {
+      maxTurnRate: 10,
+      velocity: new Burner.Vector(1, 0),
+      location: new Burner.Vector(300, 300)
+    });
+    agent.applyForce(new Burner.Vector(-2 * agent.mass, 2 * agent.mass));
+    agent.step();
+    expect(Math.round(Flora.Utils.radiansToDegrees(Math.atan2(agent.velocity.y, agent.velocity.x)))).toEqual(10);
+  });
+
+  it("should have a hierarchy of children that follow their parents.", function() {
+
+    var body = system.add('Mover', {
+      isStatic: true,
+      scale: 2,
+      angle: 90,
+      location: new Burner.Vector(100, 100)
+    });
+    var arm = system.add('Mover', {
+      parent: body,
+      offsetDistance: 10
+    });
+    var hand = system.add('Mover', {
+      offsetDistance: 5
+    });
+
+    body.addChild(arm);
+    arm.addChild(hand);
+    expect(body.children).toEqual([arm]);
+    expect(hand.parent).toBe(arm);
+
+    body.step();
+    expect(Math.round(arm.location.x)).toEqual(100);
+    expect(Math.round(arm.location.y)).toEqual(120);
+    expect(arm.scale).toEqual(2);
+    expect(hand.scale).toEqual(2);
+    expect(Math.round(hand.location.x)).toEqual(110);
+
+    var point = body.localToWorld(new Burner.Vector(10, 0));
+    expect(Math.round(point.x)).toEqual(100);
+    expect(Math.round(point.y)).toEqual(120);
+    point = body.worldToLocal(point);
+    expect(Math.round(point.x)).toEqual(10);
+    expect(Math.round(point.y)).toEqual(0);
+
+    arm.destroyChildren = false;
+    arm.destroy();
+    expect(body.children.length).toEqual(0);
+    expect(hand.parent).toEqual(null);
+    expect(system.getAllItemsByName('Mover')).toContain(hand);
+
+    body.addChild(hand);
+    body.destroy();
+    expect(system.getAllItemsByName('Mover')).not.toContain(hand);
+  });
+
+  it("should be dragged by one pointer at a time and thrown on release.", function() {
+
+    var events = [];
+
+    var mover = system.add('Mover', {
+      draggable: true,
+      location: new Burner.Vector(100, 100),
+      onDragStart: function() {
+        events.push('start');
+      },
+      onDrag: function() {
+        events.push('drag');
+      },
+      onDragEnd: function() {
+        events.push('end');
+      }
+    });
+    var location = mover.location;
+
+    mover.pointerdown({pointerId: 1, clientX: 95, clientY: 100, timeStamp: 0});
+    mover.pointerdown({pointerId: 2, clientX: 0, clientY: 0, timeStamp: 0});
+    expect(mover.isPressed).toEqual(true);
+    expect(mover.pointerId).toEqual(1);
+
+    mover.pointermove({pointerId: 2, clientX: 300, clientY: 300, timeStamp: 10});
+    expect(mover.location.x).toEqual(100);
+
+    mover.pointermove({pointerId: 1, clientX: 105, clientY: 100, timeStamp: Flora.Clock.frameDuration});
+    mover.pointermove({pointerId: 1, clientX: 115, clientY: 100, timeStamp: Flora.Clock.frameDuration * 2});
+    expect(mover.location.x).toEqual(120);
+    expect(mover.location).toBe(location);
+
+    mover.pointerup({pointerId: 1, clientX: 115, clientY: 100, timeStamp: Flora.Clock.frameDuration * 2});
+    expect(mover.isPressed).toEqual(false);
+    expect(mover.velocity.x).toEqual(7.5);
+    expect(events).toEqual(['start', 'drag', 'drag', 'end']);
+
+    mover.pointerdown({pointerId: 3, clientX: 120, clientY: 100, timeStamp: 0});
+    mover.pointermove({pointerId: 3, clientX: 130, clientY: 100, timeStamp: Flora.Clock.frameDuration});
+    mover.pointerup({pointerId: 3, clientX: 130, clientY: 100, timeStamp: 1000});
+    expect(mover.velocity.x).toEqual(0);
+  });
+
+  it("should apply an edgeBehavior per axis and call onEdge.", function() {
+
+    var edges = [];
+
+    var mover = system.add('Mover', {
+      edgeBehavior: {x: 'wrap', y: 'bounce'},
+      restitution: 0.5,
+      width: 10,
+      height: 10,
+      location: new Burner.Vector(-5, 598),
+      velocity: new Burner.Vector(-1, 4),
+      onEdge: function(edge) {
+        edges.push(edge);
+      }
+    });
+
+    expect(mover._checkEdges()).toEqual(false);
+    expect(mover.location.x).toEqual(mover.world.bounds[1] - 5);
+    expect(mover.location.y).toEqual(mover.world.bounds[2] - 5);
+    expect(mover.velocity.y).toEqual(-2);
+    expect(edges).toEqual(['left', 'bottom']);
+
+    mover.edgeBehavior = 'clamp';
+    mover.location.x = mover.world.bounds[1] + 20;
+    mover.velocity.x = 3;
+    mover._checkEdges();
+    expect(mover.location.x).toEqual(mover.world.bounds[1] - 5);
+    expect(mover.velocity.x).toEqual(0);
+
+    mover.edgeBehavior = 'destroy';
+    mover.location.x = -20;
+    expect(mover._checkEdges()).toEqual(true);
+    expect(system.getAllItemsByName('Mover')).not.toContain(mover);
+
+    mover.edgeBehavior = 'sideways';
+    expect(function() {
+      mover._checkEdges();
+    }).toThrow();
+  });
   // _checkCameraEdges
 });
\ No newline at end of file
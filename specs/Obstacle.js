@@ -0,0 +1,75 @@
+describe("Obstacle", function() {
+
+  var obj, getDataType, system;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(function() {
+      this.add('Obstacle', {
+        location: new Burner.Vector(200, 100)
+      });
+    }, null, document.getElementById('worldA'));
+    getDataType = Flora.Utils.getDataType;
+    obj = system.lastItem();
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+    obj = null;
+  });
+
+  it("should create an Obstacle with its required properties.", function() {
+    expect(obj.shape).toEqual('circle');
+    expect(getDataType(obj.isStatic)).toEqual('boolean');
+    expect(getDataType(obj.width)).toEqual('number');
+    expect(getDataType(obj.height)).toEqual('number');
+    expect(getDataType(obj.color)).toEqual('array');
+    expect(obj.borderRadius).toEqual(100);
+    expect(obj.name).toEqual('Obstacle');
+  });
+
+  it("should have a method getRayHitDistance() that returns the distance to where a ray touches the obstacle.", function() {
+
+    var origin = new Burner.Vector(0, 100);
+
+    expect(obj.getRayHitDistance(origin, 1, 0, 200, 0)).toEqual(150);
+    expect(obj.getRayHitDistance(origin, 1, 0, 200, 10)).toEqual(140);
+    expect(obj.getRayHitDistance(origin, 1, 0, 100, 0)).toEqual(-1); // too short
+    expect(obj.getRayHitDistance(origin, -1, 0, 200, 0)).toEqual(-1); // facing away
+
+    expect(obj.getRayHitDistance(new Burner.Vector(190, 100), 1, 0, 200, 0)).toEqual(0); // inside, center ahead
+    expect(obj.getRayHitDistance(new Burner.Vector(210, 100), 1, 0, 200, 0)).toEqual(-1); // inside, center behind
+    expect(obj.getRayHitDistance(new Burner.Vector(255, 100), 1, 0, 200, 10)).toEqual(-1); // passed, inside the margin
+
+    obj.shape = 'box';
+    obj.height = 20;
+    expect(obj.getRayHitDistance(origin, 1, 0, 200, 0)).toEqual(150);
+    expect(obj.getRayHitDistance(new Burner.Vector(0, 115), 1, 0, 200, 0)).toEqual(-1);
+    expect(obj.getRayHitDistance(new Burner.Vector(0, 115), 1, 0, 200, 10)).toEqual(140);
+    expect(obj.getRayHitDistance(new Burner.Vector(255, 100), 1, 0, 200, 10)).toEqual(-1); // passed, inside the margin
+  });
+
+  it("should steer an Agent with avoidObstacles = true sideways around it.", function() {
+
+    var agent = system.add('Agent', {
+      avoidObstacles: true,
+      location: new Burner.Vector(100, 95),
+      velocity: new Burner.Vector(1, 0)
+    });
+
+    var force = agent.avoidObstacle();
+
+    expect(force.x).toEqual(0);
+    expect(force.y).toBeLessThan(0); // obstacle's center is below the agent's heading
+
+    agent.velocity = new Burner.Vector(-1, 0);
+    expect(agent.avoidObstacle().y).toEqual(0);
+  });
+});
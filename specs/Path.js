@@ -0,0 +1,96 @@
+describe("Path", function() {
+
+  var obj, getDataType, system;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(function() {
+      this.add('Path', {
+        points: [
+          new Burner.Vector(100, 100),
+          new Burner.Vector(300, 100),
+          new Burner.Vector(300, 300)
+        ],
+        radius: 10
+      });
+    }, null, document.getElementById('worldA'));
+    getDataType = Flora.Utils.getDataType;
+    obj = system.getAllItemsByName('Path')[0];
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+    obj = null;
+  });
+
+  it("should create a Path with its required properties.", function() {
+    expect(getDataType(obj.points)).toEqual('array');
+    expect(obj.radius).toEqual(10);
+    expect(obj.loop).toEqual(false);
+    expect(obj.createMarkers).toEqual(true);
+    expect(system.getAllItemsByName('Point').length).toEqual(3);
+    expect(system.getAllItemsByName('Connector').length).toEqual(2);
+    expect(obj.name).toEqual('Path');
+  });
+
+  it("should remove its markers when destroyed.", function() {
+    obj.destroy();
+    expect(system.getAllItemsByName('Path').length).toEqual(0);
+    expect(system.getAllItemsByName('Point').length).toEqual(0);
+    expect(system.getAllItemsByName('Connector').length).toEqual(0);
+  });
+
+  it("should require at least two points.", function() {
+    expect(function() {
+      system.add('Path', {
+        points: [new Burner.Vector(100, 100)]
+      });
+    }).toThrow();
+  });
+
+  it("should have methods to find the closest segment and project a location onto a segment.", function() {
+
+    var location = new Burner.Vector(290, 200);
+
+    expect(obj.getTotalSegments()).toEqual(2);
+    expect(obj.getClosestSegment(location)).toEqual(1);
+    expect(obj.getNormalPoint(location, 1).x).toEqual(300);
+    expect(obj.getNormalPoint(location, 1).y).toEqual(200);
+    expect(obj.getNormalPoint(location, 0).x).toEqual(290);
+    expect(obj.getSegmentProgress(new Burner.Vector(400, 100), 0)).toEqual(1.5);
+
+    obj.loop = true;
+    expect(obj.getTotalSegments()).toEqual(3);
+    expect(obj.getSegmentEnd(2)).toBe(obj.points[0]);
+  });
+
+  it("should steer an Agent along the path and call onPathEnd at the end.", function() {
+
+    var ended = 0;
+
+    var agent = system.add('Agent', {
+      path: obj,
+      location: new Burner.Vector(100, 120),
+      velocity: new Burner.Vector(1, 0),
+      onPathEnd: function() {
+        ended += 1;
+      }
+    });
+
+    expect(agent.followPath(obj).x).toBeGreaterThan(0);
+    expect(agent.pathSegment).toEqual(0);
+
+    agent.location = new Burner.Vector(300, 295);
+    agent.pathSegment = 1;
+    agent.followPath(obj);
+    agent.followPath(obj);
+    expect(ended).toEqual(1);
+  });
+});
@@ -61,6 +61,220 @@ describe("A new Sensor", function() {
     expect(sensor.name).toEqual('Sensor');
   });
 
+  it("should output an intensity that falls off with distance to the target.", function() {
+
+    sensor.location.x = heat.location.x;
+    sensor.location.y = heat.location.y;
+    expect(sensor.getIntensity(heat)).toEqual(1);
+
+    sensor.location.x = heat.location.x + 78.5; // halfway between contact and the edge of the range
+    expect(sensor.getIntensity(heat)).toEqual(0.5);
+
+    sensor.falloff = 'gaussian';
+    expect(sensor.getIntensity(heat)).toEqual(Math.exp(-1.125));
+
+    sensor.falloff = 'inverse-square';
+    expect(sensor.getIntensity(heat)).toEqual(Math.pow(28.5 / 78.5, 2));
+
+    sensor.falloff = 'linear';
+    sensor.location.x = heat.location.x + 200;
+    expect(sensor.getIntensity(heat)).toEqual(0);
+
+    sensor.falloff = 'cubic';
+    expect(function() {
+      sensor.getIntensity(heat);
+    }).toThrow();
+
+    sensor.falloff = 'linear';
+    sensor.location.x = heat.location.x + 78.5;
+    sensor.step();
+    expect(sensor.activated).toEqual(true);
+    expect(sensor.intensity).toEqual(0.5);
+
+    sensor.behavior = 'ACCELERATE';
+    agent.velocity = new Burner.Vector(0, 2);
+    expect(sensor.getActivationForce(agent).y).toEqual(0.5);
+  });
+
+  it("should look up registered Stimulus types and item names.", function() {
+    expect(sensor.getTargetName()).toEqual('Heat');
+    sensor.type = 'Agent';
+    expect(sensor.getTargetName()).toEqual('Agent');
+    var other = system.add('Agent', {
+      location: new Burner.Vector(agent.location.x, agent.location.y)
+    });
+    sensor.location.x = agent.location.x;
+    sensor.location.y = agent.location.y;
+    sensor.step();
+    expect(sensor.target).toBe(other);
+  });
+
+  it("should select a target and list every stimulator it detects in readings.", function() {
+
+    var small = system.add('Stimulus', {
+      type: 'heat',
+      width: 10,
+      height: 10,
+      location: new Burner.Vector(heat.location.x + 60, heat.location.y)
+    });
+
+    sensor.location.x = heat.location.x + 40;
+    sensor.location.y = heat.location.y;
+    sensor.step();
+    expect(sensor.readings.length).toEqual(2);
+    expect(sensor.target).toBe(small); // nearest
+
+    var reading = sensor.readings[0].target === heat ? sensor.readings[0] : sensor.readings[1];
+    expect(reading.distance).toEqual(40);
+    expect(reading.bearing).toEqual(180);
+
+    sensor.targetSelection = 'strongest';
+    sensor.step();
+    expect(sensor.target).toBe(heat);
+    expect(sensor.readings[0]).toBe(sensor.readingPool[0]); // readings are reused
+
+    sensor.targetSelection = 'loudest';
+    expect(function() {
+      sensor.step();
+    }).toThrow();
+  });
+
+  it("should only detect stimulators inside its field of view.", function() {
+
+    sensor.location.x = heat.location.x + 100;
+    sensor.location.y = heat.location.y;
+    sensor.fov = 90;
+    sensor.range = 150;
+
+    sensor.angle = 180; // facing the heat
+    expect(sensor.getBearing(heat)).toEqual(0);
+    expect(sensor.canDetect(heat)).toEqual(true);
+
+    sensor.angle = 0;
+    sensor.offsetAngle = 120;
+    expect(sensor.getBearing(heat)).toEqual(60);
+    expect(sensor.canDetect(heat)).toEqual(false);
+
+    sensor.fov = 360;
+    expect(sensor.canDetect(heat)).toEqual(true);
+    sensor.range = 50;
+    expect(sensor.canDetect(heat)).toEqual(false);
+
+    sensor.showCone = true;
+    expect(function() {
+      sensor.draw();
+    }).not.toThrow();
+  });
+
+  it("should invoke registered behaviors and warn once about unknown behaviors.", function() {
+
+    var calls = [], log = Flora.Utils.log, warnings = 0;
+
+    Flora.Sensor.registerBehavior('CURIOUS', function(s, a, target) {
+      calls.push([s, a, target]);
+      return new Burner.Vector(2, 0);
+    });
+
+    sensor.target = heat;
+    sensor.intensity = 0.5;
+    sensor.behavior = 'CURIOUS';
+    expect(sensor.getActivationForce(agent).x).toEqual(1); // scaled by intensity
+    expect(calls[0]).toEqual([sensor, agent, heat]);
+
+    sensor.behavior = 'RUN';
+    sensor.intensity = 1;
+    agent.location = new Burner.Vector(heat.location.x + 10, heat.location.y);
+    agent.velocity = new Burner.Vector();
+    expect(sensor.getActivationForce(agent).x).toBeGreaterThan(0);
+
+    Flora.Utils.log = function() {
+      warnings++;
+    };
+    sensor.behavior = 'LOVE'; // the default applies no force and does not warn
+    expect(sensor.getActivationForce(agent).mag()).toEqual(0);
+    expect(warnings).toEqual(0);
+
+    sensor.behavior = 'ORBIT';
+    expect(sensor.getActivationForce(agent).x).toEqual(0);
+    sensor.getActivationForce(agent);
+    Flora.Utils.log = log;
+    expect(warnings).toEqual(1);
+
+    delete Flora.Sensor.behaviors.CURIOUS;
+    expect(function() {
+      Flora.Sensor.registerBehavior('ORBIT');
+    }).toThrow();
+  });
+
+  it("should call onActivate, onDeactivate and onChange and keep a history of intensities.", function() {
+
+    var events = [];
+
+    sensor.onActivate = function(target) {
+      events.push(['activate', target]);
+    };
+    sensor.onDeactivate = function(target) {
+      events.push(['deactivate', target]);
+    };
+    sensor.onChange = function(target, lastTarget) {
+      events.push(['change', target, lastTarget]);
+    };
+    sensor.historyLength = 3;
+
+    sensor.location.x = heat.location.x + 500;
+    sensor.location.y = heat.location.y;
+    sensor.step();
+    expect(events.length).toEqual(0);
+
+    sensor.location.x = heat.location.x + 78.5;
+    sensor.step();
+    sensor.location.x = heat.location.x + 53.5;
+    sensor.step();
+    expect(events).toEqual([['activate', heat], ['change', heat, null]]);
+
+    sensor.location.x = heat.location.x + 28.5;
+    sensor.step();
+    expect(sensor.history.length).toEqual(3);
+    expect(sensor.getPastIntensity()).toEqual(1);
+    expect(sensor.getPastIntensity(2)).toEqual(0.5);
+    expect(sensor.getPastIntensity(10)).toEqual(0.5);
+    expect(sensor.getGradient()).toEqual(0.25);
+
+    sensor.location.x = heat.location.x + 500;
+    sensor.step();
+    expect(events.slice(2)).toEqual([['deactivate', heat], ['change', null, heat]]);
+    expect(sensor.getGradient()).toBeLessThan(0);
+  });
+
+  it("should detect Agents by class name or tag and skip its own Agent.", function() {
+
+    var shark = system.add('Agent', {
+      className: 'Shark',
+      tags: ['predator'],
+      location: new Burner.Vector(heat.location.x + 20, heat.location.y)
+    });
+
+    expect(sensor.agent).toBe(agent);
+    sensor.location.x = agent.location.x;
+    sensor.location.y = agent.location.y;
+
+    sensor.type = 'Agent';
+    sensor.step();
+    expect(sensor.target).toBe(shark); // skips its own Agent
+
+    sensor.type = 'predator';
+    sensor.step();
+    expect(sensor.target).toBe(shark);
+
+    sensor.detects = {className: 'Shark', tag: 'prey'};
+    sensor.step();
+    expect(sensor.activated).toEqual(false);
+
+    sensor.detects = {className: 'Shark'};
+    sensor.step();
+    expect(sensor.target).toBe(shark);
+  });
+
   it("should have a method getActivationForce() that return a force to apply to an agentwhen its sensor is activated.", function() {
     /*sensor.target = heat;
     sensor.activated = true;
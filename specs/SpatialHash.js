@@ -0,0 +1,90 @@
+describe("A new SpatialHash", function() {
+
+  var obj, getDataType, system;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(null, null, document.getElementById('worldA'));
+    getDataType = Flora.Utils.getDataType;
+    obj = new exports.SpatialHash({
+      cellSize: 50
+    });
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+    obj = null;
+  });
+
+  it("should have its required properties.", function() {
+    expect(obj.cellSize).toEqual(50);
+    expect(getDataType(obj.maxSizes)).toEqual('object');
+    expect(obj.maxSize).toEqual(0);
+    expect(obj.name).toEqual('SpatialHash');
+  });
+
+  it("should have a query() method that returns items within a radius of a location.", function() {
+
+    var items = [
+      {name: 'Agent', width: 10, height: 10, location: new Burner.Vector(10, 10)},
+      {name: 'Agent', width: 10, height: 20, location: new Burner.Vector(40, 10)},
+      {name: 'Walker', width: 30, height: 10, location: new Burner.Vector(60, 10)},
+      {name: 'Agent', width: 10, height: 10, location: new Burner.Vector(500, 500)}
+    ];
+
+    obj.build(items);
+
+    expect(obj.query(new Burner.Vector(10, 10), 60).length).toEqual(3);
+    expect(obj.query(new Burner.Vector(10, 10), 60, 'Agent').length).toEqual(2);
+    expect(obj.query(new Burner.Vector(10, 10), 20).length).toEqual(1);
+    expect(obj.query(new Burner.Vector(10, 10), 1000).length).toEqual(4);
+    expect(obj.getMaxSize()).toEqual(30);
+    expect(obj.getMaxSize('Agent')).toEqual(20);
+
+    obj.clear();
+    expect(obj.query(new Burner.Vector(10, 10), 1000).length).toEqual(0);
+  });
+
+  it("should have a getIndex() method that returns a shared index for a world.", function() {
+
+    var agent = system.add('Agent', {
+      location: new Burner.Vector(100, 100)
+    });
+
+    var index = exports.SpatialHash.getIndex(agent.world);
+
+    expect(exports.SpatialHash.getIndex(agent.world)).toBe(index);
+    expect(index.query(agent.location, 1)[0]).toBe(agent);
+  });
+
+  it("should not return an item destroyed in the same frame another item was added.", function() {
+
+    var heat = system.add('Stimulus', {
+      type: 'heat',
+      location: new Burner.Vector(100, 100)
+    });
+    var sensor = system.add('Sensor', {
+      type: 'heat',
+      location: new Burner.Vector(100, 100)
+    });
+
+    sensor.step();
+    expect(sensor.target).toBe(heat);
+
+    system.destroyItem(heat);
+    var walker = system.add('Walker', {
+      location: new Burner.Vector(100, 100)
+    });
+
+    sensor.step();
+    expect(sensor.target).toEqual(null);
+    expect(exports.SpatialHash.getIndex(sensor.world).query(sensor.location, 1)).toContain(walker);
+  });
+});
@@ -0,0 +1,113 @@
+describe("Stimulus", function() {
+
+  var system;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(null, null, document.getElementById('worldA'));
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+    delete Flora.Stimulus.types.water;
+  });
+
+  it("should create Stimuli of the default types.", function() {
+    var heat = system.add('Stimulus', {
+      type: 'heat'
+    });
+    expect(heat.name).toEqual('Heat');
+    expect(heat.boxShadowColor).toEqual([255, 69, 0]);
+    expect(function() {
+      system.add('Stimulus', {
+        type: 'water'
+      });
+    }).toThrow();
+  });
+
+  it("should be consumed by Sensors, regrow and go dormant or be destroyed when used up.", function() {
+
+    var food = system.add('Stimulus', {
+      type: 'food',
+      capacity: 4,
+      regrowthRate: 1,
+      whenEmpty: 'dormant',
+      location: new Burner.Vector(100, 100)
+    });
+
+    var sensor = system.add('Sensor', {
+      type: 'food',
+      consumptionRate: 2,
+      location: new Burner.Vector(100, 100)
+    });
+    expect(sensor.consumes).toEqual(true);
+    expect(system.add('Sensor', {type: 'heat'}).consumes).toEqual(false); // the default behavior does not consume
+    expect(system.add('Sensor', {type: 'heat', behavior: 'LOVES'}).consumes).toEqual(true);
+
+    sensor.step();
+    expect(food.amount).toEqual(2);
+    food.step();
+    expect(food.amount).toEqual(3);
+    expect(food.scale).toEqual(0.75);
+
+    sensor.step();
+    sensor.step();
+    expect(food.amount).toEqual(0);
+    expect(food.dormant).toEqual(true);
+    expect(food.scale).toEqual(0.01);
+    food.draw();
+    expect(food.el.style.cssText).toContain('scale(0.01'); // not drawn at full size
+
+    sensor.step();
+    expect(sensor.activated).toEqual(false); // dormant Stimuli are ignored
+
+    for (var i = 0; i < 4; i++) {
+      food.step();
+    }
+    expect(food.dormant).toEqual(false);
+
+    food.whenEmpty = 'destroy';
+    expect(food.consume(10)).toEqual(4);
+    expect(system.getAllItemsByName('Food')).not.toContain(food);
+
+    var heat = system.add('Stimulus', {
+      type: 'heat'
+    });
+    expect(heat.consume(10)).toEqual(10); // not consumable
+    expect(heat.amount).toEqual(null);
+  });
+
+  it("should create Stimuli of registered types that Sensors can detect.", function() {
+
+    Flora.registerStimulusType('water', {
+      colors: [[0, 0, 255], [0, 0, 100]],
+      width: 80
+    });
+
+    var water = system.add('Stimulus', {
+      type: 'water',
+      location: new Burner.Vector(100, 100)
+    });
+    expect(water.name).toEqual('Water');
+    expect(water.width).toEqual(80);
+    expect(water.boxShadowColor).toEqual([0, 0, 255]);
+
+    var sensor = system.add('Sensor', {
+      type: 'water',
+      location: new Burner.Vector(120, 100)
+    });
+    sensor.step();
+    expect(sensor.target).toBe(water);
+
+    expect(function() {
+      Flora.registerStimulusType('mud', {});
+    }).toThrow();
+  });
+});
@@ -0,0 +1,96 @@
+describe("Trail", function() {
+
+  var Trail, system, context, segments, dots;
+
+  beforeEach(function() {
+
+    // create world element
+    var world = document.createElement('div');
+    world.id = 'worldA';
+    world.className = 'world';
+    document.body.appendChild(world);
+
+    system = Burner.System;
+    system.init(null, null, document.getElementById('worldA'));
+    Trail = Flora.Trail;
+
+    segments = 0;
+    dots = 0;
+    context = { // records calls to the drawing context
+      save: function() {},
+      restore: function() {},
+      beginPath: function() {},
+      moveTo: function() {},
+      lineTo: function() {},
+      arc: function() {},
+      stroke: function() {
+        segments += 1;
+      },
+      fill: function() {
+        dots += 1;
+      }
+    };
+  });
+
+  afterEach(function() {
+    system._destroySystem();
+  });
+
+  it("should record recent locations in a ring buffer.", function() {
+
+    var mover = system.add('Mover', {
+      trail: {length: 3},
+      location: new Burner.Vector(10, 10)
+    });
+
+    for (var i = 0; i < 5; i++) {
+      mover.location.x = i;
+      Trail.record(mover);
+    }
+
+    expect(mover.trailCount).toEqual(3);
+    expect(mover.trailPoints.length).toEqual(3);
+    expect(mover.trailPoints[(mover.trailIndex + 2) % 3].x).toEqual(4);
+    expect(mover.trailPoints[mover.trailIndex].x).toEqual(2);
+  });
+
+  it("should draw a line or dots and skip segments that wrap around the world.", function() {
+
+    var mover = system.add('Mover', {
+      trail: true,
+      location: new Burner.Vector(10, 10)
+    });
+
+    Trail.record(mover);
+    mover.location.x = 20;
+    Trail.record(mover);
+    mover.location.x = mover.world.width - 10;
+    Trail.record(mover);
+
+    Trail.draw(mover, context);
+    expect(segments).toEqual(1);
+
+    mover.trail = {style: 'dots'};
+    Trail.draw(mover, context);
+    expect(dots).toEqual(3);
+  });
+
+  it("should be drawn for Walkers and Oscillators without adding DOM elements.", function() {
+
+    var walker = system.add('Walker', {
+      trail: {length: 10}
+    });
+    var oscillator = system.add('Oscillator', {
+      trail: true
+    });
+    var total = document.getElementById('worldA').getElementsByTagName('*').length;
+
+    for (var i = 0; i < 3; i++) {
+      system._stepForward();
+    }
+
+    expect(walker.trailCount).toEqual(3);
+    expect(oscillator.trailCount).toEqual(3);
+    expect(document.getElementById('worldA').getElementsByTagName('*').length).toBeLessThan(total + 2);
+  });
+});
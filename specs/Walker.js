@@ -43,4 +43,22 @@ describe("Walker", function() {
     expect(obj.name).toEqual('Walker');
   });
 
+  it("should be added to its parent's children.", function() {
+    var child = system.add('Walker', {
+      parent: obj,
+      offsetDistance: 20
+    });
+    expect(child.parent).toBe(obj);
+    expect(obj.children).toEqual([child]);
+
+    obj.location = new Burner.Vector(100, 100);
+    obj.angle = 0;
+    child._updateFromParent();
+    expect(child.location.x).toEqual(120);
+    expect(child.location.y).toEqual(100);
+
+    obj.destroy();
+    expect(system.getAllItemsByName('Walker').length).toEqual(0);
+  });
+
 });
\ No newline at end of file
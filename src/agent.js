@@ -24,13 +24,53 @@ Utils.extend(Agent, Mover);
  * @param {boolean} [opt_options.followMouse = false] If true, object will follow mouse.
  * @param {number} [opt_options.maxSteeringForce = 10] Set the maximum strength of any steering force.
  * @param {Object} [opt_options.seekTarget = null] An object to seek.
+ * @param {Object} [opt_options.arriveTarget = null] An object to arrive at. Object slows down within slowingRadius of the target.
+ * @param {Object} [opt_options.fleeTarget = null] An object to flee.
+ * @param {Object} [opt_options.pursueTarget = null] An object to pursue. Object steers toward the target's predicted location.
+ * @param {Object} [opt_options.evadeTarget = null] An object to evade. Object steers away from the target's predicted location.
+ * @param {boolean} [opt_options.wandering = false] Set to true to apply a wandering force to this object.
+ * @param {boolean} [opt_options.avoidObstacles = false] If true, object casts a feeler ahead of its velocity and
+ *    steers sideways around any Obstacle the feeler touches.
+ * @param {number} [opt_options.obstacleLookAhead = 100] The length of the feeler used to detect obstacles.
+ * @param {Object} [opt_options.path = null] A Path to follow.
+ * @param {number} [opt_options.pathLookAhead = 25] When following a path, object predicts its location this far ahead
+ *    and steers toward a point this far along the path.
+ * @param {function} [opt_options.onPathEnd = null] A function to run when object reaches the end of a path that does not loop.
  * @param {boolean} [opt_options.flocking = false] Set to true to apply flocking forces to this object.
  * @param {number} [opt_options.desiredSeparation = Twice the object's default width] Sets the desired separation from other objects when flocking = true.
+ * @param {number} [opt_options.alignRadius = Twice the object's default width] Agents within this distance are aligned with when flocking = true.
+ * @param {number} [opt_options.cohesionRadius = Four times the object's default width] Agents within this distance are steered toward when flocking = true.
+ * @param {number} [opt_options.viewAngle = 360] The angle in degrees centered on the object's heading inside which other objects are
+ *    considered when flocking = true. Agents behind the object are ignored.
  * @param {number} [opt_options.separateStrength = 1] The strength of the force to apply to separating when flocking = true.
  * @param {number} [opt_options.alignStrength = 1] The strength of the force to apply to aligning when flocking = true.
  * @param {number} [opt_options.cohesionStrength = 1] The strength of the force to apply to cohesion when flocking = true.
+ * @param {string} [opt_options.className = undefined] The species object flocks with. Items without a className
+ *    use their name as their species.
+ * @param {Object} [opt_options.flockWith = null] A map of species to flocking rules. Each rule is a map of
+ *    'separate', 'align' and 'cohesion' strengths to apply toward items of that species. A negative strength
+ *    reverses the force. eg. {Fish: {separate: 0.3, align: 0.2, cohesion: 0.1}, Shark: {separate: 5}}
+ *    If null, object only flocks with items of its own species using the strengths above.
  * @param {Object} [opt_options.flowField = null] If a flow field is set, object will use it to apply a force.
  * @param {Array} [opt_options.sensors = ] A list of sensors attached to this object.
+ * @param {string} [opt_options.drive = 'steer'] How sensors move this object. 'steer' applies each activated sensor's
+ *    behavior as a steering force. 'differential' drives two virtual wheels from the sensors' intensities
+ *    according to 'wiring' and turns by the difference in their speeds.
+ * @param {string|Array} [opt_options.wiring = 'FEAR'] Used when drive = 'differential'. Either the name of a preset in
+ *    Agent.wirings or a list of connections. Each connection is a map of 'sensor' (an index in sensors),
+ *    'wheel' ('left' or 'right') and 'weight'. A positive weight is excitatory, a negative weight is inhibitory.
+ * @param {number} [opt_options.wheelSpeed = this.motorSpeed or half of maxSpeed] The speed of each wheel when its
+ *    sensors read nothing. Inhibitory wirings only slow the wheels down, so it must be above 0 for them to move.
+ * @param {number} [opt_options.wheelBase = this.width] The distance between the wheels. Wider wheel bases turn more slowly.
+ * @param {string} [opt_options.steeringMode = 'weighted'] How steering forces are combined. 'weighted' applies
+ *    the sum of all forces multiplied by their weights. 'priority' applies forces in the order of
+ *    steeringPriority until their total magnitude reaches maxSteeringForce.
+ * @param {Object} [opt_options.steeringWeights = {}] A map of behavior names to weights. Behaviors without a weight
+ *    use 1. Behaviors are 'avoidObstacles', 'liquid', 'attractor', 'repeller', 'sensor', 'motor', 'mouse', 'seek', 'arrive',
+ *    'flee', 'pursue', 'evade', 'wander', 'path', 'flowField', 'separate', 'align' and 'cohesion'.
+ * @param {Array} [opt_options.steeringPriority = Config.steeringPriority] A list of behavior names ordered from
+ *    highest to lowest priority. Used when steeringMode = 'priority'. Behaviors missing from the list
+ *    are applied last.
  * @param {Array} [opt_options.color = 197, 177, 115] Color.
  * @param {number} [opt_options.borderWidth = 0] Border width.
  * @param {string} [opt_options.borderStyle = 'none'] Border style.
@@ -39,19 +79,40 @@ Utils.extend(Agent, Mover);
  */
 Agent.prototype.init = function(opt_options) {
 
-  var options = opt_options || {};
+  var options = opt_options || {}, i, max;
   Agent._superClass.prototype.init.call(this, options);
 
   this.followMouse = !!options.followMouse;
   this.maxSteeringForce = typeof options.maxSteeringForce === 'undefined' ? 10 : options.maxSteeringForce;
   this.seekTarget = options.seekTarget || null;
+  this.arriveTarget = options.arriveTarget || null;
+  this.fleeTarget = options.fleeTarget || null;
+  this.pursueTarget = options.pursueTarget || null;
+  this.evadeTarget = options.evadeTarget || null;
+  this.wandering = !!options.wandering;
+  this.avoidObstacles = !!options.avoidObstacles;
+  this.obstacleLookAhead = typeof options.obstacleLookAhead === 'undefined' ? 100 : options.obstacleLookAhead;
+  this.path = options.path || null;
+  this.pathLookAhead = typeof options.pathLookAhead === 'undefined' ? 25 : options.pathLookAhead;
+  this.onPathEnd = options.onPathEnd || null;
   this.flocking = !!options.flocking;
   this.desiredSeparation = typeof options.desiredSeparation === 'undefined' ? this.width * 2 : options.desiredSeparation;
+  this.alignRadius = typeof options.alignRadius === 'undefined' ? this.width * 2 : options.alignRadius;
+  this.cohesionRadius = typeof options.cohesionRadius === 'undefined' ? this.width * 4 : options.cohesionRadius;
+  this.viewAngle = typeof options.viewAngle === 'undefined' ? 360 : options.viewAngle;
   this.separateStrength = typeof options.separateStrength === 'undefined' ? 0.3 : options.separateStrength;
   this.alignStrength = typeof options.alignStrength === 'undefined' ? 0.2 : options.alignStrength;
   this.cohesionStrength = typeof options.cohesionStrength === 'undefined' ? 0.1 : options.cohesionStrength;
+  this.flockWith = options.flockWith || null;
   this.flowField = options.flowField || null;
   this.sensors = options.sensors || [];
+  this.drive = options.drive || 'steer';
+  this.wiring = options.wiring || 'FEAR';
+  this.wheelSpeed = typeof options.wheelSpeed === 'undefined' ? this.motorSpeed || this.maxSpeed / 2 : options.wheelSpeed;
+  this.wheelBase = typeof options.wheelBase === 'undefined' ? this.width : options.wheelBase;
+  this.steeringMode = options.steeringMode || 'weighted';
+  this.steeringWeights = options.steeringWeights || {};
+  this.steeringPriority = options.steeringPriority || Config.steeringPriority;
 
   this.color = options.color || [197, 177, 115];
   this.borderWidth = options.borderWidth || 0;
@@ -66,6 +127,58 @@ Agent.prototype.init = function(opt_options) {
   this.cohesionSumForceVector = new Burner.Vector(); // used in Agent.cohesion()
   this.followTargetVector = new Burner.Vector(); // used in Agent.applyForces()
   this.followDesiredVelocity = new Burner.Vector(); // used in Agent.follow()
+  this.flockNeighbors = []; // used in Agent.applyForces()
+  this.steeringForces = {}; // used in Agent._steer()
+  this.steeringBehaviors = []; // used in Agent._steer()
+  this.steeringLookup = {}; // used in Agent._steer()
+  this.obstacleForceVector = new Burner.Vector(); // used in Agent.avoidObstacle()
+  this.obstaclesInRange = []; // used in Agent.avoidObstacle()
+  this.liquidsInRange = []; // used in Agent.applyForces()
+  this.followTarget = {location: this.followTargetVector}; // used in Agent.applyForces()
+  this.mouseTarget = {location: new Burner.Vector()}; // used in Agent.applyForces()
+  this.motorForceVector = new Burner.Vector(); // used in Agent.applyForces()
+  this.pathPrediction = new Burner.Vector(); // used in Agent.followPath()
+  this.pathTarget = {location: new Burner.Vector()}; // used in Agent.followPath()
+  this.pathSegment = -1; // used in Agent.followPath()
+  this.pathFollowed = null; // used in Agent.followPath()
+  this.pathEnded = false; // used in Agent.followPath()
+  this.leftWheelSpeed = 0; // used in Agent._drive()
+  this.rightWheelSpeed = 0; // used in Agent._drive()
+
+  for (i = 0, max = this.sensors.length; i < max; i++) {
+    this.sensors[i].agent = this; // sensors skip the agent carrying them
+  }
+};
+
+/**
+ * Maps sensor intensities to wheels for drive = 'differential'. Presets
+ * expect sensors[0] on the left and sensors[1] on the right and
+ * reproduce Braitenberg's vehicles 2a, 2b, 3a and 3b.
+ *
+ * FEAR: Uncrossed, excitatory. Turns away from stimuli and speeds up near them.
+ * AGGRESSION: Crossed, excitatory. Turns toward stimuli and speeds up to hit them.
+ * LOVE: Uncrossed, inhibitory. Turns toward stimuli and slows down to rest near them.
+ * EXPLORER: Crossed, inhibitory. Slows down near stimuli but turns away to find others.
+ *
+ * @type {Object}
+ */
+Agent.wirings = {
+  FEAR: [
+    {sensor: 0, wheel: 'left', weight: 1},
+    {sensor: 1, wheel: 'right', weight: 1}
+  ],
+  AGGRESSION: [
+    {sensor: 0, wheel: 'right', weight: 1},
+    {sensor: 1, wheel: 'left', weight: 1}
+  ],
+  LOVE: [
+    {sensor: 0, wheel: 'left', weight: -1},
+    {sensor: 1, wheel: 'right', weight: -1}
+  ],
+  EXPLORER: [
+    {sensor: 0, wheel: 'right', weight: -1},
+    {sensor: 1, wheel: 'left', weight: -1}
+  ]
 };
 
 /**
@@ -75,24 +188,30 @@ Agent.prototype.init = function(opt_options) {
  */
 Agent.prototype.applyForces = function() {
 
-  var i, max, sensorActivated, dir, sensor, r, theta, x, y,
-      liquids = Burner.System._caches.Liquid,
+  var i, max, sensorActivated, dir, sensor, r, theta, index, liquids,
       attractors = Burner.System._caches.Attractor,
-      repellers = Burner.System._caches.Repeller,
-      heat = Burner.System._caches.Heat;
-
-  if (liquids && liquids.list.length > 0) { // liquid
-    for (i = 0, max = liquids.list.length; i < max; i += 1) {
-      if (this.id !== liquids.list[i].id && Utils.isInside(this, liquids.list[i])) {
-        this.applyForce(this.drag(liquids.list[i]));
+      repellers = Burner.System._caches.Repeller;
+
+  if (Burner.System._caches.Liquid) { // liquid; only visit liquids that may overlap this object
+    index = SpatialHash.getIndex(this.world);
+    liquids = index.query(this.location, (index.getMaxSize('Liquid') + Math.max(this.width, this.height)) / 2 *
+        Math.SQRT2, 'Liquid', this.liquidsInRange);
+    for (i = 0, max = liquids.length; i < max; i += 1) {
+      if (this.id !== liquids[i].id && Utils.isInside(this, liquids[i])) {
+        this._steer('liquid', this.drag(liquids[i]));
       }
     }
   }
 
+  /**
+   * Attractors and repellers pull at any distance so they are not queried
+   * from the spatial index. Their lists are usually short.
+   */
+
   if (attractors && attractors.list.length > 0) { // attractor
     for (i = 0, max = attractors.list.length; i < max; i += 1) {
       if (this.id !== attractors.list[i].id) {
-        this.applyForce(this.attract(attractors.list[i]));
+        this._steer('attractor', this.attract(attractors.list[i]));
       }
     }
   }
@@ -100,7 +219,7 @@ Agent.prototype.applyForces = function() {
   if (repellers && repellers.list.length > 0) { // repeller
     for (i = 0, max = repellers.list.length; i < max; i += 1) {
       if (this.id !== repellers.list[i].id) {
-        this.applyForce(this.attract(repellers.list[i]));
+        this._steer('repeller', this.attract(repellers.list[i]));
       }
     }
   }
@@ -112,19 +231,17 @@ Agent.prototype.applyForces = function() {
 
       r = sensor.offsetDistance; // use angle to calculate x, y
       theta = Utils.degreesToRadians(this.angle + sensor.offsetAngle);
-      x = r * Math.cos(theta);
-      y = r * Math.sin(theta);
 
-      sensor.location.x = this.location.x;
-      sensor.location.y = this.location.y;
-      sensor.location.add(new Burner.Vector(x, y)); // position the sensor
+      sensor.location.x = this.location.x + r * Math.cos(theta); // position the sensor
+      sensor.location.y = this.location.y + r * Math.sin(theta);
+      sensor.angle = this.angle;
 
       if (i) {
         sensor.borderStyle = 'none';
       }
 
-      if (sensor.activated) {
-        this.applyForce(sensor.getActivationForce(this));
+      if (sensor.activated && this.drive !== 'differential') {
+        this._steer('sensor', sensor.getActivationForce(this));
         sensorActivated = true;
       }
 
@@ -132,37 +249,68 @@ Agent.prototype.applyForces = function() {
   }
 
   /**
-   * If no sensors were activated and this.motorSpeed != 0,
-   * apply a force in the direction of the current velocity.
+   * If drive = 'differential', the wheels replace the motor. Otherwise if no
+   * sensors were activated and this.motorSpeed != 0, apply a force in the
+   * direction of the current velocity.
    */
-  if (!sensorActivated && this.motorSpeed) {
-    dir = Utils.clone(this.velocity);
+  if (this.drive === 'differential') {
+    this._drive();
+  } else if (!sensorActivated && this.motorSpeed) {
+    dir = this.motorForceVector;
+    dir.x = this.velocity.x;
+    dir.y = this.velocity.y;
     dir.normalize();
     if (this.velocity.mag() > this.motorSpeed) { // decelerate to defaultSpeed
       dir.mult(-this.motorSpeed);
     } else {
       dir.mult(this.motorSpeed);
     }
-    this.applyForce(dir); // constantly applies a force
+    this._steer('motor', dir); // constantly applies a force
   }
 
   if (this.followMouse && !Burner.System.supportedFeatures.touch) { // follow mouse
-    var t = {
-      location: new Burner.Vector(Burner.System.mouse.location.x,
-          Burner.System.mouse.location.y)
-    };
-    this.applyForce(this._seek(t));
+    this.mouseTarget.location.x = Burner.System.mouse.location.x;
+    this.mouseTarget.location.y = Burner.System.mouse.location.y;
+    this._steer('mouse', this._seek(this.mouseTarget));
   }
 
   if (this.seekTarget) { // seek target
-    this.applyForce(this._seek(this.seekTarget));
+    this._steer('seek', this._seek(this.seekTarget));
+  }
+
+  if (this.arriveTarget) { // arrive at target
+    this._steer('arrive', this.arrive(this.arriveTarget));
+  }
+
+  if (this.fleeTarget) { // flee target
+    this._steer('flee', this.flee(this.fleeTarget));
+  }
+
+  if (this.pursueTarget) { // pursue target
+    this._steer('pursue', this.pursue(this.pursueTarget));
+  }
+
+  if (this.evadeTarget) { // evade target
+    this._steer('evade', this.evade(this.evadeTarget));
+  }
+
+  if (this.wandering) { // wander
+    this._steer('wander', this.wander());
+  }
+
+  if (this.avoidObstacles) { // avoid obstacles
+    this._steer('avoidObstacles', this.avoidObstacle());
+  }
+
+  if (this.path) { // follow path
+    this._steer('path', this.followPath(this.path));
   }
 
   if (this.flowField) { // follow flow field
     var res = this.flowField.resolution,
       col = Math.floor(this.location.x/res),
       row = Math.floor(this.location.y/res),
-      loc, target;
+      loc;
 
     if (this.flowField.field[col]) {
       loc = this.flowField.field[col][row];
@@ -173,21 +321,136 @@ Agent.prototype.applyForces = function() {
         this.followTargetVector.x = this.location.x;
         this.followTargetVector.y = this.location.y;
       }
-      target = {
-        location: this.followTargetVector
-      };
-      this.applyForce(this.follow(target));
+      this._steer('flowField', this.follow(this.followTarget));
     }
 
   }
 
-  if (this.flocking) {
-    this.flock(Burner.System.getAllItemsByName('Agent'));
+  if (this.flocking) { // only visit items within the largest flocking radius
+    this.flock(SpatialHash.getIndex(this.world).query(this.location,
+        this.getFlockingRadius(), null, this.flockNeighbors));
+  }
+
+  if (this.steeringMode === 'priority') {
+    this._applySteeringByPriority();
   }
 
   return this.acceleration;
 };
 
+/**
+ * Multiplies a steering force by its behavior's weight. If steeringMode = 'weighted',
+ * applies the force. If steeringMode = 'priority', holds the force until
+ * _applySteeringByPriority() is called.
+ *
+ * @param {string} behavior The name of the behavior that created the force.
+ * @param {Object} force The force.
+ * @private
+ */
+Agent.prototype._steer = function(behavior, force) {
+
+  var weight = this.steeringWeights[behavior],
+      sum;
+
+  if (typeof weight !== 'undefined' && weight !== 1) {
+    force.mult(weight);
+  }
+
+  if (this.steeringMode !== 'priority') {
+    this.applyForce(force);
+    return;
+  }
+
+  sum = this.steeringForces[behavior] || (this.steeringForces[behavior] = new Burner.Vector());
+  if (!this.steeringLookup[behavior]) {
+    this.steeringLookup[behavior] = true;
+    this.steeringBehaviors[this.steeringBehaviors.length] = behavior;
+  }
+  sum.add(force);
+};
+
+/**
+ * Applies the steering forces held by _steer() in the order of steeringPriority
+ * until their total magnitude reaches maxSteeringForce. The last force applied
+ * is truncated to fit.
+ *
+ * @private
+ */
+Agent.prototype._applySteeringByPriority = function() {
+
+  var i, max, behavior, force, mag,
+      remaining = this.maxSteeringForce;
+
+  for (i = 0, max = this.steeringPriority.length + this.steeringBehaviors.length; i < max; i++) {
+
+    behavior = i < this.steeringPriority.length ? this.steeringPriority[i] :
+        this.steeringBehaviors[i - this.steeringPriority.length]; // behaviors missing from the priority list
+    force = this.steeringForces[behavior];
+
+    if (this.steeringLookup[behavior]) {
+      this.steeringLookup[behavior] = false;
+      mag = force.mag();
+      if (remaining > 0 && mag > 0) {
+        if (mag > remaining) {
+          force.mult(remaining / mag);
+          mag = remaining;
+        }
+        this.applyForce(force);
+        remaining -= mag;
+      }
+      force.x = 0;
+      force.y = 0;
+    }
+  }
+  this.steeringBehaviors.length = 0;
+};
+
+/**
+ * Sets the speed of each wheel from the sensors wired to it, then turns
+ * and moves this object like a vehicle with two wheels. The faster wheel
+ * turns the vehicle toward the slower wheel's side.
+ *
+ * @private
+ */
+Agent.prototype._drive = function() {
+
+  var wiring = typeof this.wiring === 'string' ? Agent.wirings[this.wiring] : this.wiring,
+      left = this.wheelSpeed, right = this.wheelSpeed,
+      i, max, connection, sensor, signal, speed, theta;
+
+  if (!wiring) {
+    throw new Error('Agent: ' + this.wiring + ' is not a valid wiring.');
+  }
+
+  for (i = 0, max = wiring.length; i < max; i++) {
+    connection = wiring[i];
+    sensor = this.sensors[connection.sensor];
+    if (!sensor) {
+      continue;
+    }
+    signal = connection.weight * sensor.intensity * this.maxSpeed;
+    if (connection.wheel === 'left') {
+      left += signal;
+    } else if (connection.wheel === 'right') {
+      right += signal;
+    } else {
+      throw new Error('Agent: ' + connection.wheel + ' is not a valid wheel.');
+    }
+  }
+
+  this.leftWheelSpeed = Utils.constrain(left, 0, this.maxSpeed);
+  this.rightWheelSpeed = Utils.constrain(right, 0, this.maxSpeed);
+
+  if (this.wheelBase) { // y points down so a faster left wheel turns clockwise
+    this.angle += Utils.radiansToDegrees((this.leftWheelSpeed - this.rightWheelSpeed) / this.wheelBase);
+  }
+
+  speed = (this.leftWheelSpeed + this.rightWheelSpeed) / 2;
+  theta = Utils.degreesToRadians(this.angle);
+  this.velocity.x = Math.cos(theta) * speed;
+  this.velocity.y = Math.sin(theta) * speed;
+};
+
 /**
  * Calculates a steering force to apply to an object following another object.
  * Agents with flow fields will use this method to calculate a steering force.
@@ -207,16 +470,213 @@ Agent.prototype.follow = function(target) {
   return this.followDesiredVelocity;
 };
 
+/**
+ * Returns the largest radius used by the flocking behaviors. Agents
+ * farther away than this radius do not affect this object's flocking forces.
+ *
+ * @returns {number} A radius.
+ */
+Agent.prototype.getFlockingRadius = function() {
+  return Math.max(this.desiredSeparation, this.alignRadius, this.cohesionRadius);
+};
+
+/**
+ * Checks if another object falls inside this object's view angle.
+ *
+ * @param {Object} element A Flora element.
+ * @returns {boolean} Returns true if the element is visible from this object's heading.
+ */
+Agent.prototype.isInViewAngle = function(element) {
+
+  var heading, bearing, diff;
+
+  if (this.viewAngle >= 360) {
+    return true;
+  }
+
+  if (this.velocity.mag() > 0) {
+    heading = Math.atan2(this.velocity.y, this.velocity.x);
+  } else {
+    heading = Utils.degreesToRadians(this.angle);
+  }
+  bearing = Math.atan2(element.location.y - this.location.y, element.location.x - this.location.x);
+
+  diff = Math.abs(Utils.radiansToDegrees(bearing - heading)) % 360;
+  if (diff > 180) {
+    diff = 360 - diff;
+  }
+  return diff <= this.viewAngle / 2;
+};
+
+/**
+ * Calculates a steering force to apply to an object avoiding obstacles.
+ * Casts a feeler ahead of the object's velocity. If the feeler touches an
+ * Obstacle, returns a force perpendicular to the object's heading that
+ * steers it around the closest one. The force grows from maxSteeringForce at
+ * the tip of the feeler to twice maxSteeringForce at the object so it can
+ * outweigh a force steering the object toward a target behind the obstacle.
+ *
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.avoidObstacle = function() {
+
+  var i, max, heading, dirX, dirY, d, lateral, side, urgency,
+      closest = null, record = Infinity,
+      margin = Math.max(this.width, this.height) / 2,
+      index = SpatialHash.getIndex(this.world),
+      obstacles = index.query(this.location, this.obstacleLookAhead + index.getMaxSize('Obstacle'),
+          'Obstacle', this.obstaclesInRange),
+      force = this.obstacleForceVector;
+
+  force.x = 0;
+  force.y = 0;
+
+  if (this.velocity.mag() > 0) {
+    heading = Math.atan2(this.velocity.y, this.velocity.x);
+  } else {
+    heading = Utils.degreesToRadians(this.angle);
+  }
+  dirX = Math.cos(heading);
+  dirY = Math.sin(heading);
+
+  for (i = 0, max = obstacles.length; i < max; i++) {
+    if (obstacles[i].id !== this.id) {
+      d = obstacles[i].getRayHitDistance(this.location, dirX, dirY, this.obstacleLookAhead, margin);
+      if (d >= 0 && d < record) {
+        record = d;
+        closest = obstacles[i];
+      }
+    }
+  }
+
+  if (closest) {
+    lateral = (closest.location.x - this.location.x) * -dirY + (closest.location.y - this.location.y) * dirX;
+    side = lateral > 0 ? -1 : 1; // steer toward the side the obstacle is not on
+    urgency = 2 - record / this.obstacleLookAhead; // 1 at the tip of the feeler; 2 at the object
+    force.x = -dirY * side;
+    force.y = dirX * side;
+    force.mult(this.maxSteeringForce * urgency);
+  }
+
+  return force;
+};
+
+/**
+ * Calculates a steering force to apply to an object following a path.
+ * The object predicts its location a short distance ahead, projects the
+ * prediction onto its current segment and seeks a point further along
+ * the segment. When the prediction passes the end of a segment, the object
+ * moves on to the next one.
+ *
+ * @param {Object} path The Path to follow.
+ * @returns {Object} The force to apply.
+ */
+Agent.prototype.followPath = function(path) {
+
+  var heading, predictLocation = this.pathPrediction, normal = this.pathTarget.location,
+      start, end, dirX, dirY, length,
+      lastSegment = path.getTotalSegments() - 1;
+
+  if (this.pathFollowed !== path || this.pathSegment < 0 || this.pathSegment > lastSegment) { // join the path at its closest segment
+    this.pathFollowed = path;
+    this.pathSegment = path.getClosestSegment(this.location);
+    this.pathEnded = false;
+  }
+
+  if (this.velocity.mag() > 0) {
+    heading = Math.atan2(this.velocity.y, this.velocity.x);
+  } else {
+    heading = Utils.degreesToRadians(this.angle);
+  }
+  predictLocation.x = this.location.x + Math.cos(heading) * this.pathLookAhead;
+  predictLocation.y = this.location.y + Math.sin(heading) * this.pathLookAhead;
+
+  if (path.getSegmentProgress(predictLocation, this.pathSegment) >= 1) { // move on to the next segment
+    if (this.pathSegment < lastSegment) {
+      this.pathSegment += 1;
+    } else if (path.loop) {
+      this.pathSegment = 0;
+    }
+  }
+
+  start = path.getSegmentStart(this.pathSegment);
+  end = path.getSegmentEnd(this.pathSegment);
+
+  if (!path.loop && this.pathSegment === lastSegment &&
+      this.location.distance(end) < path.radius) { // reached the end
+    if (!this.pathEnded) {
+      this.pathEnded = true;
+      if (this.onPathEnd) {
+        this.onPathEnd.call(this, path);
+      }
+    }
+    normal.x = end.x;
+    normal.y = end.y;
+    return this.arrive(this.pathTarget, path.radius);
+  }
+
+  path.getNormalPoint(predictLocation, this.pathSegment, normal);
+  dirX = end.x - start.x;
+  dirY = end.y - start.y;
+  length = Math.sqrt(dirX * dirX + dirY * dirY);
+  if (length) { // aim a short distance along the segment
+    normal.x += dirX / length * this.pathLookAhead;
+    normal.y += dirY / length * this.pathLookAhead;
+  }
+
+  if (!path.loop && this.pathSegment === lastSegment &&
+      start.distance(normal) > start.distance(end)) { // do not aim past the end
+    normal.x = end.x;
+    normal.y = end.y;
+  }
+
+  return this.arrive(this.pathTarget, 0);
+};
+
+/**
+ * Returns the species an item flocks as. Items that set a className
+ * use it. Other items use their name.
+ *
+ * @param {Object} item An item.
+ * @returns {string} A species.
+ */
+Agent.getSpecies = function(item) {
+  return typeof item.className === 'undefined' ? item.name : item.className;
+};
+
 /**
  * Bundles flocking behaviors (separate, align, cohesion) into one call.
+ * Applies the rules in this.flockWith for each species. If this.flockWith
+ * is null, flocks with items of this object's species.
  *
+ * @param {array} elements An array of Flora elements.
  * @returns {Object} This object's acceleration vector.
  */
 Agent.prototype.flock = function(elements) {
 
-  this.applyForce(this.separate(elements).mult(this.separateStrength));
-  this.applyForce(this.align(elements).mult(this.alignStrength));
-  this.applyForce(this.cohesion(elements).mult(this.cohesionStrength));
+  var species, rule;
+
+  if (!this.flockWith) {
+    this._steer('separate', this.separate(elements).mult(this.separateStrength));
+    this._steer('align', this.align(elements).mult(this.alignStrength));
+    this._steer('cohesion', this.cohesion(elements).mult(this.cohesionStrength));
+    return this.acceleration;
+  }
+
+  for (species in this.flockWith) {
+    if (this.flockWith.hasOwnProperty(species)) {
+      rule = this.flockWith[species];
+      if (rule.separate) {
+        this._steer('separate', this.separate(elements, species).mult(rule.separate));
+      }
+      if (rule.align) {
+        this._steer('align', this.align(elements, species).mult(rule.align));
+      }
+      if (rule.cohesion) {
+        this._steer('cohesion', this.cohesion(elements, species).mult(rule.cohesion));
+      }
+    }
+  }
   return this.acceleration;
 };
 
@@ -225,12 +685,13 @@ Agent.prototype.flock = function(elements) {
  * to avoid all elements.
  *
  * @param {array} elements An array of Flora elements.
- * @returns {Object} A force to apply.
+ * @param {string} [opt_species = this object's species] Only elements of this species are considered.
+ * @returns {Object} A force to apply. The vector is reused by the next call.
  */
-Agent.prototype.separate = function(elements) {
+Agent.prototype.separate = function(elements, opt_species) {
 
-  var i, max, element, diff, d,
-  sum, count = 0, steer;
+  var i, max, element, d,
+  sum, count = 0, species = opt_species || Agent.getSpecies(this);
 
   this.separateSumForceVector.x = 0;
   this.separateSumForceVector.y = 0;
@@ -238,15 +699,13 @@ Agent.prototype.separate = function(elements) {
 
   for (i = 0, max = elements.length; i < max; i += 1) {
     element = elements[i];
-    if (this.className === element.className && this.id !== element.id) {
+    if (Agent.getSpecies(element) === species && this.id !== element.id) {
 
       d = this.location.distance(element.location);
 
-      if ((d > 0) && (d < this.desiredSeparation)) {
-        diff = Burner.Vector.VectorSub(this.location, element.location);
-        diff.normalize();
-        diff.div(d);
-        sum.add(diff);
+      if ((d > 0) && (d < this.desiredSeparation) && this.isInViewAngle(element)) {
+        sum.x += (this.location.x - element.location.x) / (d * d); // weighted by distance
+        sum.y += (this.location.y - element.location.y) / (d * d);
         count += 1;
       }
     }
@@ -257,9 +716,8 @@ Agent.prototype.separate = function(elements) {
     sum.mult(this.maxSpeed);
     sum.sub(this.velocity);
     sum.limit(this.maxSteeringForce);
-    return sum;
   }
-  return new Burner.Vector();
+  return sum;
 };
 
 /**
@@ -267,13 +725,13 @@ Agent.prototype.separate = function(elements) {
  * to align with all elements.
  *
  * @param {array} elements An array of Flora elements.
- * @returns {Object} A force to apply.
+ * @param {string} [opt_species = this object's species] Only elements of this species are considered.
+ * @returns {Object} A force to apply. The vector is reused by the next call.
  */
-Agent.prototype.align = function(elements) {
+Agent.prototype.align = function(elements, opt_species) {
 
   var i, max, element, d,
-    neighbordist = this.width * 2,
-    sum, count = 0, steer;
+    sum, count = 0, species = opt_species || Agent.getSpecies(this);
 
   this.alignSumForceVector.x = 0;
   this.alignSumForceVector.y = 0;
@@ -283,8 +741,8 @@ Agent.prototype.align = function(elements) {
     element = elements[i];
     d = this.location.distance(element.location);
 
-    if ((d > 0) && (d < neighbordist)) {
-      if (this.className === element.className && this.id !== element.id) {
+    if ((d > 0) && (d < this.alignRadius) && this.isInViewAngle(element)) {
+      if (Agent.getSpecies(element) === species && this.id !== element.id) {
         sum.add(element.velocity);
         count += 1;
       }
@@ -297,9 +755,8 @@ Agent.prototype.align = function(elements) {
     sum.mult(this.maxSpeed);
     sum.sub(this.velocity);
     sum.limit(this.maxSteeringForce);
-    return sum;
   }
-  return new Burner.Vector();
+  return sum;
 };
 
 /**
@@ -307,13 +764,13 @@ Agent.prototype.align = function(elements) {
  * to stay close to all elements.
  *
  * @param {array} elements An array of Flora elements.
- * @returns {Object} A force to apply.
+ * @param {string} [opt_species = this object's species] Only elements of this species are considered.
+ * @returns {Object} A force to apply. The vector is reused by the next call.
  */
-Agent.prototype.cohesion = function(elements) {
+Agent.prototype.cohesion = function(elements, opt_species) {
 
   var i, max, element, d,
-    neighbordist = 10,
-    sum, count = 0, desiredVelocity, steer;
+    sum, count = 0, species = opt_species || Agent.getSpecies(this);
 
   this.cohesionSumForceVector.x = 0;
   this.cohesionSumForceVector.y = 0;
@@ -323,8 +780,8 @@ Agent.prototype.cohesion = function(elements) {
     element = elements[i];
     d = this.location.distance(element.location);
 
-    if ((d > 0) && (d < neighbordist)) {
-      if (this.className === element.className && this.id !== element.id) {
+    if ((d > 0) && (d < this.cohesionRadius) && this.isInViewAngle(element)) {
+      if (Agent.getSpecies(element) === species && this.id !== element.id) {
         sum.add(element.location);
         count += 1;
       }
@@ -338,9 +795,8 @@ Agent.prototype.cohesion = function(elements) {
     sum.mult(this.maxSpeed);
     sum.sub(this.velocity);
     sum.limit(this.maxSteeringForce);
-    return sum;
   }
-  return new Burner.Vector();
+  return sum;
 };
 
 /**
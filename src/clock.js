@@ -0,0 +1,95 @@
+/*global Burner */
+/**
+ * Measures the time between frames so objects with fixedTimestep = true
+ * move at the same speed regardless of the display's refresh rate.
+ *
+ * Time is measured in frames of a 60 Hz display; a delta of 1 means
+ * exactly one 60 Hz frame has passed since the last frame.
+ *
+ * @namespace
+ */
+var Clock = {
+  frameDuration: 1000 / 60,
+  maxDelta: 10,
+  delta: 1
+};
+
+/**
+ * The system clock value when delta was last measured.
+ * @private
+ */
+Clock._clock = -1;
+
+/**
+ * The time in milliseconds when delta was last measured.
+ * @private
+ */
+Clock._lastTime = null;
+
+/**
+ * Returns the current time in milliseconds.
+ *
+ * @function now
+ * @memberof Clock
+ * @returns {number} The current time.
+ */
+Clock.now = function() {
+  return new Date().getTime();
+};
+
+/**
+ * Returns the time elapsed since the last frame. The time is measured once
+ * per frame; every object stepping in the same frame receives the same value.
+ * Long pauses, like when the browser tab is in the background, are
+ * limited to maxDelta.
+ *
+ * @function getDelta
+ * @memberof Clock
+ * @returns {number} The elapsed time in 60 Hz frames.
+ */
+Clock.getDelta = function() {
+
+  var now;
+
+  if (Clock._clock !== Burner.System.clock) {
+    now = Clock.now();
+    Clock.delta = Clock._lastTime === null ? 1 :
+        Math.min((now - Clock._lastTime) / Clock.frameDuration, Clock.maxDelta);
+    Clock._lastTime = now;
+    Clock._clock = Burner.System.clock;
+  }
+  return Clock.delta;
+};
+
+/**
+ * Returns the number of fixed timesteps an object should run this frame.
+ * Objects without fixedTimestep = true run exactly one step per frame.
+ * Unused time carries over to the next frame. If more than maxSubsteps
+ * steps are due, the extra time is dropped so the simulation never
+ * falls further behind.
+ *
+ * @function getSteps
+ * @memberof Clock
+ * @param {Object} item An object with fixedTimestep, dt and maxSubsteps properties.
+ * @returns {number} The number of steps.
+ */
+Clock.getSteps = function(item) {
+
+  var steps = 0;
+
+  if (!item.fixedTimestep) {
+    return 1;
+  }
+
+  item.timeAccumulator = (item.timeAccumulator || 0) + Clock.getDelta();
+
+  while (item.timeAccumulator >= item.dt && steps < item.maxSubsteps) {
+    item.timeAccumulator -= item.dt;
+    steps++;
+  }
+
+  if (item.timeAccumulator >= item.dt) {
+    item.timeAccumulator = 0;
+  }
+  return steps;
+};
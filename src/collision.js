@@ -0,0 +1,300 @@
+/*global Burner */
+/**
+ * Detects and resolves collisions between Movers with collide = true.
+ * Items collide as circles or axis-aligned boxes based on their
+ * collisionShape property.
+ *
+ * @namespace
+ */
+var Collision = {};
+
+/**
+ * Holds the contact returned by getContact() when no contact object
+ * is passed. Reused to avoid allocating a contact every check.
+ * @private
+ */
+Collision._contact = {
+  x: 0,
+  y: 0,
+  depth: 0
+};
+
+/**
+ * Checks if two items overlap.
+ *
+ * @function getContact
+ * @memberof Collision
+ * @param {Object} a An item.
+ * @param {Object} b Another item.
+ * @param {Object} [opt_contact] An object to fill with the contact.
+ * @returns {Object|null} If the items overlap, a contact with the unit normal
+ *    pointing from a to b (x, y) and the overlap along the normal (depth).
+ *    Otherwise, null.
+ */
+Collision.getContact = function(a, b, opt_contact) {
+
+  var contact = opt_contact || Collision._contact,
+      circleA = a.collisionShape !== 'box',
+      circleB = b.collisionShape !== 'box';
+
+  if (circleA && circleB) {
+    return Collision._circleCircle(a, b, contact);
+  }
+  if (!circleA && !circleB) {
+    return Collision._boxBox(a, b, contact);
+  }
+  if (circleA) {
+    return Collision._circleBox(a, b, contact, 1);
+  }
+  return Collision._circleBox(b, a, contact, -1);
+};
+
+/**
+ * Pushes two overlapping items apart and applies an impulse at the contact
+ * point. Heavier items move less. Static items do not move. The combined
+ * restitution is the lower of the two items' restitution; 1 is perfectly
+ * elastic and 0 is perfectly inelastic. Friction at the contact point makes
+ * items that do not point in their direction of motion spin.
+ *
+ * @function resolve
+ * @memberof Collision
+ * @param {Object} a An item.
+ * @param {Object} b Another item.
+ * @param {Object} contact The contact returned by getContact().
+ */
+Collision.resolve = function(a, b, contact) {
+
+  var invMassA = Collision.getInverseMass(a),
+      invMassB = Collision.getInverseMass(b),
+      invMassSum = invMassA + invMassB,
+      invInertiaA = Collision.getInverseInertia(a),
+      invInertiaB = Collision.getInverseInertia(b),
+      nx = contact.x, ny = contact.y,
+      extentA, rAX, rAY, rBX, rBY, spinA, spinB,
+      vx, vy, relativeVelocity, rACrossN, rBCrossN, restitution, j,
+      tx, ty, tangentVelocity, rACrossT, rBCrossT, jt, maxFriction;
+
+  if (!invMassSum) {
+    return;
+  }
+
+  // separate the items
+  a.location.x -= nx * contact.depth * invMassA / invMassSum;
+  a.location.y -= ny * contact.depth * invMassA / invMassSum;
+  b.location.x += nx * contact.depth * invMassB / invMassSum;
+  b.location.y += ny * contact.depth * invMassB / invMassSum;
+
+  // the contact point relative to each item's center
+  extentA = a.collisionShape === 'box' ? Math.abs(nx) * a.width / 2 + Math.abs(ny) * a.height / 2 :
+      Math.max(a.width, a.height) / 2;
+  rAX = nx * extentA;
+  rAY = ny * extentA;
+  rBX = a.location.x + rAX - b.location.x;
+  rBY = a.location.y + rAY - b.location.y;
+
+  spinA = invInertiaA ? Utils.degreesToRadians(a.angularVelocity) : 0;
+  spinB = invInertiaB ? Utils.degreesToRadians(b.angularVelocity) : 0;
+
+  // the velocity of b relative to a at the contact point
+  vx = (b.velocity.x - spinB * rBY) - (a.velocity.x - spinA * rAY);
+  vy = (b.velocity.y + spinB * rBX) - (a.velocity.y + spinA * rAX);
+  relativeVelocity = vx * nx + vy * ny;
+
+  if (relativeVelocity > 0) { // already moving apart
+    return;
+  }
+
+  rACrossN = rAX * ny - rAY * nx;
+  rBCrossN = rBX * ny - rBY * nx;
+  restitution = Math.min(Collision._getRestitution(a), Collision._getRestitution(b));
+  j = -(1 + restitution) * relativeVelocity / (invMassSum + rACrossN * rACrossN * invInertiaA +
+      rBCrossN * rBCrossN * invInertiaB); // impulse
+
+  Collision._applyImpulse(a, -j * nx, -j * ny, rAX, rAY, invMassA, invInertiaA);
+  Collision._applyImpulse(b, j * nx, j * ny, rBX, rBY, invMassB, invInertiaB);
+
+  // friction
+  tx = vx - relativeVelocity * nx;
+  ty = vy - relativeVelocity * ny;
+  tangentVelocity = Math.sqrt(tx * tx + ty * ty);
+  if (tangentVelocity < 0.0001 || !Collision.friction) {
+    return;
+  }
+  tx /= tangentVelocity;
+  ty /= tangentVelocity;
+
+  rACrossT = rAX * ty - rAY * tx;
+  rBCrossT = rBX * ty - rBY * tx;
+  maxFriction = Collision.friction * j;
+  jt = Utils.constrain(-tangentVelocity / (invMassSum + rACrossT * rACrossT * invInertiaA +
+      rBCrossT * rBCrossT * invInertiaB), -maxFriction, maxFriction);
+
+  Collision._applyImpulse(a, -jt * tx, -jt * ty, rAX, rAY, invMassA, invInertiaA);
+  Collision._applyImpulse(b, jt * tx, jt * ty, rBX, rBY, invMassB, invInertiaB);
+};
+
+/**
+ * The friction coefficient at contact points.
+ * @type {number}
+ * @memberof Collision
+ */
+Collision.friction = 0.2;
+
+/**
+ * Returns the inverse of an item's mass. Static items and items
+ * being dragged have an infinite mass.
+ *
+ * @function getInverseMass
+ * @memberof Collision
+ * @param {Object} item An item.
+ * @returns {number} The inverse mass.
+ */
+Collision.getInverseMass = function(item) {
+  if (item.isStatic || item.isPressed || !item.mass) {
+    return 0;
+  }
+  return 1 / item.mass;
+};
+
+/**
+ * Returns the inverse of an item's moment of inertia. Items that cannot spin
+ * have an infinite moment of inertia. These include static items and items that
+ * point in their direction of motion.
+ *
+ * @function getInverseInertia
+ * @memberof Collision
+ * @param {Object} item An item.
+ * @returns {number} The inverse moment of inertia.
+ */
+Collision.getInverseInertia = function(item) {
+
+  var inertia;
+
+  if (!Collision.getInverseMass(item) || item.pointToDirection || !item.getMomentOfInertia ||
+      typeof item.angularVelocity !== 'number') {
+    return 0;
+  }
+  inertia = item.getMomentOfInertia();
+  return inertia ? 1 / inertia : 0;
+};
+
+/**
+ * Applies an impulse to an item at a point relative to its center.
+ * @private
+ */
+Collision._applyImpulse = function(item, x, y, rx, ry, invMass, invInertia) {
+  item.velocity.x += x * invMass;
+  item.velocity.y += y * invMass;
+  if (invInertia) {
+    item.angularVelocity += Utils.radiansToDegrees((rx * y - ry * x) * invInertia);
+  }
+};
+
+/**
+ * Returns an item's restitution.
+ * @private
+ */
+Collision._getRestitution = function(item) {
+  return typeof item.restitution === 'undefined' ? 1 : item.restitution;
+};
+
+/**
+ * Checks two circles for overlap.
+ * @private
+ */
+Collision._circleCircle = function(a, b, contact) {
+
+  var dx = b.location.x - a.location.x,
+      dy = b.location.y - a.location.y,
+      radii = Math.max(a.width, a.height) / 2 + Math.max(b.width, b.height) / 2,
+      distance = Math.sqrt(dx * dx + dy * dy);
+
+  if (distance >= radii) {
+    return null;
+  }
+
+  if (distance) {
+    contact.x = dx / distance;
+    contact.y = dy / distance;
+  } else { // same location; pick any direction
+    contact.x = 1;
+    contact.y = 0;
+  }
+  contact.depth = radii - distance;
+  return contact;
+};
+
+/**
+ * Checks two axis-aligned boxes for overlap. The normal follows
+ * the axis with the least overlap.
+ * @private
+ */
+Collision._boxBox = function(a, b, contact) {
+
+  var dx = b.location.x - a.location.x,
+      dy = b.location.y - a.location.y,
+      overlapX = (a.width + b.width) / 2 - Math.abs(dx),
+      overlapY = (a.height + b.height) / 2 - Math.abs(dy);
+
+  if (overlapX <= 0 || overlapY <= 0) {
+    return null;
+  }
+
+  if (overlapX < overlapY) {
+    contact.x = dx < 0 ? -1 : 1;
+    contact.y = 0;
+    contact.depth = overlapX;
+  } else {
+    contact.x = 0;
+    contact.y = dy < 0 ? -1 : 1;
+    contact.depth = overlapY;
+  }
+  return contact;
+};
+
+/**
+ * Checks a circle and an axis-aligned box for overlap.
+ *
+ * @param {Object} circle The circle.
+ * @param {Object} box The box.
+ * @param {Object} contact An object to fill with the contact.
+ * @param {number} sign 1 if the normal should point from the circle to the box; -1 for the reverse.
+ * @private
+ */
+Collision._circleBox = function(circle, box, contact, sign) {
+
+  var radius = Math.max(circle.width, circle.height) / 2,
+      halfWidth = box.width / 2,
+      halfHeight = box.height / 2,
+      dx = circle.location.x - box.location.x,
+      dy = circle.location.y - box.location.y,
+      closestX = Utils.constrain(dx, -halfWidth, halfWidth),
+      closestY = Utils.constrain(dy, -halfHeight, halfHeight),
+      nx, ny, distance;
+
+  if (closestX === dx && closestY === dy) { // circle's center is inside the box; push out the nearest side
+    if (halfWidth - Math.abs(dx) < halfHeight - Math.abs(dy)) {
+      contact.x = dx < 0 ? 1 : -1;
+      contact.y = 0;
+      contact.depth = halfWidth - Math.abs(dx) + radius;
+    } else {
+      contact.x = 0;
+      contact.y = dy < 0 ? 1 : -1;
+      contact.depth = halfHeight - Math.abs(dy) + radius;
+    }
+  } else {
+    nx = closestX - dx;
+    ny = closestY - dy;
+    distance = Math.sqrt(nx * nx + ny * ny);
+    if (distance >= radius) {
+      return null;
+    }
+    contact.x = nx / distance;
+    contact.y = ny / distance;
+    contact.depth = radius - distance;
+  }
+
+  contact.x *= sign;
+  contact.y *= sign;
+  return contact;
+};
@@ -48,6 +48,26 @@ var Config = {
       boxShadowColor: [60, 64, 140]
     }
   ],
+  steeringPriority: [
+    'avoidObstacles',
+    'separate',
+    'flee',
+    'evade',
+    'sensor',
+    'repeller',
+    'liquid',
+    'seek',
+    'arrive',
+    'pursue',
+    'path',
+    'flowField',
+    'mouse',
+    'attractor',
+    'align',
+    'cohesion',
+    'wander',
+    'motor'
+  ],
   keyMap: {
     pause: 80,
     resetSystem: 82,
@@ -0,0 +1,242 @@
+/*global Burner */
+/**
+ * Creates a new Field.
+ *
+ * A Field is a grid of values that covers its world, like temperature or
+ * the concentration of a chemical. Stimuli of the Field's type emit into
+ * the grid, and each step the values spread to neighboring cells and
+ * decay. Sensors of the Field's type sample the value at their location
+ * instead of detecting Stimuli, so Agents feel smooth gradients.
+ *
+ * @constructor
+ * @extends Burner.Item
+ *
+ * @param {Object} [opt_options=] A map of initial properties.
+ */
+function Field(opt_options) {
+  var options = opt_options || {};
+  options.name = options.name || 'Field';
+  Burner.Item.call(this, options);
+}
+Utils.extend(Field, Burner.Item);
+
+/**
+ * Initializes an instance.
+ *
+ * @param {Object} [opt_options=] A map of initial properties.
+ * @param {string} opt_options.type The Stimulus type that emits into the field and the Sensor type that samples it. eg. 'heat'
+ * @param {number} [opt_options.resolution = 20] The width and height of each cell.
+ * @param {number} [opt_options.diffusion = 0.2] How much of the difference from its neighbors' average a cell
+ *    moves toward each step. From 0 to 1.
+ * @param {number} [opt_options.decay = 0.02] The fraction of each value lost each step. From 0 to 1.
+ * @param {number} [opt_options.maxValue = 10] The value at which a Sensor's intensity reaches 1.
+ * @param {number} [opt_options.threshold = 0.01] The lowest intensity that activates a Sensor.
+ * @param {boolean} [opt_options.showHeatMap = false] If true, draws the field on the world's overlay.
+ * @param {string|Array} [opt_options.heatMapColor = the Stimulus type's box-shadow color] The heat map's color.
+ */
+Field.prototype.init = function(opt_options) {
+
+  var options = opt_options || {}, type;
+
+  if (!options.type) {
+    throw new Error('Field: options.type is required.');
+  }
+
+  this.type = options.type.toLowerCase();
+  this.resolution = typeof options.resolution === 'undefined' ? 20 : options.resolution;
+  this.diffusion = typeof options.diffusion === 'undefined' ? 0.2 : options.diffusion;
+  this.decay = typeof options.decay === 'undefined' ? 0.02 : options.decay;
+  this.maxValue = typeof options.maxValue === 'undefined' ? 10 : options.maxValue;
+  this.threshold = typeof options.threshold === 'undefined' ? 0.01 : options.threshold;
+  this.showHeatMap = !!options.showHeatMap;
+  type = Stimulus.types[this.type];
+  this.heatMapColor = options.heatMapColor || (type ? type.boxShadowColor : [255, 255, 255]);
+  this.width = 0;
+  this.height = 0;
+  this.visibility = 'hidden';
+  this.isStatic = true;
+
+  this.cols = Math.ceil(this.world.bounds[1] / this.resolution);
+  this.rows = Math.ceil(this.world.bounds[2] / this.resolution);
+
+  //
+
+  this.values = this._createGrid(); // values are read from this grid
+  this.nextValues = this._createGrid(); // used in Field.step()
+
+  Burner.System.updateCache(this);
+};
+
+/**
+ * Called every frame, step() adds emissions from Stimuli, then diffuses
+ * and decays the field's values.
+ */
+Field.prototype.step = function() {
+
+  var col, row, i, value, average, next,
+      cols = this.cols, rows = this.rows,
+      values = this.values;
+
+  if (this.beforeStep) {
+    this.beforeStep.apply(this);
+  }
+
+  this._emit();
+
+  for (row = 0; row < rows; row++) {
+    for (col = 0; col < cols; col++) {
+      i = row * cols + col;
+      value = values[i];
+      average = (values[col > 0 ? i - 1 : i] + values[col < cols - 1 ? i + 1 : i] + // edges reflect
+          values[row > 0 ? i - cols : i] + values[row < rows - 1 ? i + cols : i]) / 4;
+      this.nextValues[i] = (value + this.diffusion * (average - value)) * (1 - this.decay);
+    }
+  }
+
+  next = this.values; // swap grids
+  this.values = this.nextValues;
+  this.nextValues = next;
+
+  if (this.afterStep) {
+    this.afterStep.apply(this);
+  }
+};
+
+/**
+ * Adds each live Stimulus' emission to the cell at its location.
+ * @private
+ */
+Field.prototype._emit = function() {
+
+  var cache = Burner.System._caches[Stimulus.getName(this.type)],
+      i, max, stimulus, emission;
+
+  if (!cache) {
+    return;
+  }
+
+  for (i = 0, max = cache.list.length; i < max; i++) {
+    stimulus = cache.list[i];
+    if (cache.lookup[stimulus.id] && stimulus.world === this.world && !stimulus.dormant) {
+      emission = stimulus.capacity ? stimulus.emission * stimulus.amount / stimulus.capacity : stimulus.emission;
+      this.addValue(stimulus.location, emission);
+    }
+  }
+};
+
+/**
+ * Adds an amount to the cell at a location. Locations outside the world are ignored.
+ *
+ * @param {Object} location A vector.
+ * @param {number} amount The amount to add.
+ */
+Field.prototype.addValue = function(location, amount) {
+
+  var col = Math.floor(location.x / this.resolution),
+      row = Math.floor(location.y / this.resolution);
+
+  if (col >= 0 && col < this.cols && row >= 0 && row < this.rows) {
+    this.values[row * this.cols + col] += amount;
+  }
+};
+
+/**
+ * Returns the field's value at a location, interpolated between the
+ * centers of the nearest cells.
+ *
+ * @param {Object} location A vector.
+ * @returns {number} A value.
+ */
+Field.prototype.getValue = function(location) {
+  return this._sample(location.x, location.y);
+};
+
+/**
+ * Returns the direction in which the field's value increases fastest at a location.
+ *
+ * @param {Object} location A vector.
+ * @param {Object} [opt_result] A vector to store the result in.
+ * @returns {Object} A vector. Its magnitude is the change in value per pixel.
+ */
+Field.prototype.getGradient = function(location, opt_result) {
+
+  var result = opt_result || new Burner.Vector(),
+      step = this.resolution / 2,
+      x = location.x, y = location.y;
+
+  result.x = (this._sample(x + step, y) - this._sample(x - step, y)) / (step * 2);
+  result.y = (this._sample(x, y + step) - this._sample(x, y - step)) / (step * 2);
+
+  return result;
+};
+
+/**
+ * Returns the field's value at a point, interpolated between the
+ * centers of the nearest cells.
+ * @private
+ */
+Field.prototype._sample = function(px, py) {
+
+  var x = px / this.resolution - 0.5,
+      y = py / this.resolution - 0.5,
+      col = Math.floor(x),
+      row = Math.floor(y),
+      fx = x - col,
+      fy = y - row,
+      top = this._getCell(col, row) * (1 - fx) + this._getCell(col + 1, row) * fx,
+      bottom = this._getCell(col, row + 1) * (1 - fx) + this._getCell(col + 1, row + 1) * fx;
+
+  return top * (1 - fy) + bottom * fy;
+};
+
+/**
+ * Draws the field as a heat map if showHeatMap is true.
+ */
+Field.prototype.draw = function() {
+
+  var context, col, row, alpha;
+
+  Field._superClass.prototype.draw.call(this);
+
+  if (!this.showHeatMap || !(context = Overlay.getContext(this.world))) {
+    return;
+  }
+
+  context.save();
+  context.fillStyle = Overlay.getColor(this.heatMapColor);
+  for (row = 0; row < this.rows; row++) {
+    for (col = 0; col < this.cols; col++) {
+      alpha = Math.min(this.values[row * this.cols + col] / this.maxValue, 1);
+      if (alpha > this.threshold) {
+        context.globalAlpha = alpha;
+        context.fillRect(col * this.resolution, row * this.resolution, this.resolution, this.resolution);
+      }
+    }
+  }
+  context.restore();
+};
+
+/**
+ * Returns the value of a cell. Cells outside the grid return the value
+ * of the nearest edge cell.
+ * @private
+ */
+Field.prototype._getCell = function(col, row) {
+  col = Utils.constrain(col, 0, this.cols - 1);
+  row = Utils.constrain(row, 0, this.rows - 1);
+  return this.values[row * this.cols + col];
+};
+
+/**
+ * Returns a list of zeros with one entry per cell.
+ * @private
+ */
+Field.prototype._createGrid = function() {
+
+  var i, max, grid = [];
+
+  for (i = 0, max = this.cols * this.rows; i < max; i++) {
+    grid[i] = 0;
+  }
+  return grid;
+};
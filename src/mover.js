@@ -1,4 +1,4 @@
-/*global Burner, document, clearInterval, setInterval */
+/*global Burner, document */
 /**
  * Creates a new Mover. All Flora elements extend Mover.
  *
@@ -23,12 +23,49 @@ Utils.extend(Mover, Burner.Item);
  * @param {string|Array} [opt_options.color = 255, 255, 255] Color.
  * @param {number} [opt_options.motorSpeed = 2] Motor speed
  * @param {number} [opt_options.angle = 0] Angle
+ * @param {number} [opt_options.angularVelocity = 0] The change in angle in degrees per step. Ignored
+ *    while pointToDirection = true.
+ * @param {number} [opt_options.angularAcceleration = 0] The change in angular velocity in degrees per step.
+ * @param {number} [opt_options.maxTurnRate = null] If set, the direction of object's velocity changes by
+ *    at most this many degrees per step so object turns gradually.
  * @param {boolean} [opt_options.pointToDirection = true] If true, object will point in the direction it's moving.
- * @param {boolean} [opt_options.draggable = false] If true, object can move via drag and drop.
+ * @param {boolean} [opt_options.draggable = false] If true, object can be dragged and thrown with a mouse, pen or finger.
+ * @param {function} [opt_options.onDragStart = null] A function to run when object starts being dragged. Receives the pointer event.
+ * @param {function} [opt_options.onDrag = null] A function to run when a dragged object moves. Receives the pointer event.
+ * @param {function} [opt_options.onDragEnd = null] A function to run when object is released. Receives the pointer event.
  * @param {Object} [opt_options.parent = null] A parent object. If set, object will be fixed to the parent relative to an offset distance.
+ *    If the parent is a Mover, object is added to the parent's children.
  * @param {boolean} [opt_options.pointToParentDirection = false] If true, object points in the direction of the parent's velocity.
  * @param {number} [opt_options.offsetDistance = 30] The distance from the center of the object's parent.
  * @param {number} [opt_options.offsetAngle = 0] The rotation around the center of the object's parent.
+ * @param {number} [opt_options.scale = 1] The object's scale relative to its parent's scale.
+ * @param {boolean} [opt_options.destroyChildren = true] If true, destroying object also destroys its children.
+ *    Otherwise, its children are detached and stay in the world.
+ * @param {number} [opt_options.slowingRadius = Half the world's width] When seeking or arriving at a target, object
+ *    slows down once it is closer to the target than this distance. Set to 0 to arrive at full speed.
+ * @param {number} [opt_options.wanderRadius = 30] The radius of the circle projected ahead of the object when wandering.
+ * @param {number} [opt_options.wanderDistance = 60] The distance from the object to the center of the wander circle.
+ * @param {number} [opt_options.wanderJitter = 20] The maximum change in degrees of the wander target each step.
+ * @param {boolean} [opt_options.collide = false] If true, object collides with other objects with collide = true.
+ * @param {string} [opt_options.collisionShape = 'circle'] The shape used to detect collisions. Accepts 'circle' or 'box'.
+ *    Circles use the larger of width and height as their diameter. Boxes are axis-aligned.
+ * @param {Array} [opt_options.tags = []] A list of strings that describe object. Sensors can detect objects by tag.
+ * @param {number} [opt_options.restitution = this.bounciness] The share of velocity kept along the contact normal after
+ *    a collision. 1 is perfectly elastic; 0 is perfectly inelastic.
+ * @param {boolean} [opt_options.fixedTimestep = false] If true, object steps in fixed increments of dt based on the
+ *    time elapsed since the last frame instead of once per frame. Object then moves at the same speed at any frame rate.
+ * @param {number} [opt_options.dt = 1] The length of a fixed timestep in 60 Hz frames.
+ * @param {number} [opt_options.maxSubsteps = 5] The maximum number of fixed timesteps per frame.
+ * @param {string} [opt_options.integrator = 'euler'] How velocity and location are updated each step. Accepts
+ *    'euler' (semi-implicit Euler) or 'verlet' (velocity Verlet). With 'verlet', velocity is completed with the
+ *    average of the last and current accelerations so it trails location by one step.
+ * @param {string|Object} [opt_options.edgeBehavior = null] What happens when object reaches the world's edge. Accepts
+ *    'bounce', 'wrap', 'clamp', 'destroy' or 'none'. Pass an object like {x: 'wrap', y: 'bounce'} to set each axis
+ *    separately. If set, replaces checkWorldEdges and wrapWorldEdges.
+ * @param {function} [opt_options.onEdge = null] A function to run when object reaches the world's edge. Receives
+ *    the edge ('top', 'right', 'bottom' or 'left') and the edge behavior.
+ * @param {boolean|Object} [opt_options.trail = null] If set, object draws a trail behind it. Pass true or a map of
+ *    length, fade, width, style ('line' or 'dots') and color. See Trail.
  * @param {function} [opt_options.beforeStep = null] A function to run before the step() function.
  * @param {function} [opt_options.afterStep = null] A function to run after the step() function.
  */
@@ -39,160 +76,232 @@ Mover.prototype.init = function(options) {
   this.color = options.color || [255, 255, 255];
   this.motorSpeed = options.motorSpeed || 0;
   this.angle = options.angle || 0;
+  this.angularVelocity = options.angularVelocity || 0;
+  this.angularAcceleration = options.angularAcceleration || 0;
+  this.maxTurnRate = options.maxTurnRate || null;
   this.pointToDirection = typeof options.pointToDirection === 'undefined' ? true : options.pointToDirection;
   this.draggable = !!options.draggable;
-  this.parent = options.parent || null;
+  this.onDragStart = options.onDragStart || null;
+  this.onDrag = options.onDrag || null;
+  this.onDragEnd = options.onDragEnd || null;
+  this.parent = null;
+  this.children = [];
+  this.localScale = typeof options.scale === 'undefined' ? 1 : options.scale;
+  this.scale = this.localScale;
+  this.destroyChildren = typeof options.destroyChildren === 'undefined' ? true : options.destroyChildren;
   this.pointToParentDirection = !!options.pointToParentDirection;
   this.offsetDistance = typeof options.offsetDistance === 'undefined' ? 30 : options.offsetDistance;
   this.offsetAngle = options.offsetAngle || 0;
+  this.slowingRadius = typeof options.slowingRadius === 'undefined' ? null : options.slowingRadius;
+  this.wanderRadius = typeof options.wanderRadius === 'undefined' ? 30 : options.wanderRadius;
+  this.wanderDistance = typeof options.wanderDistance === 'undefined' ? 60 : options.wanderDistance;
+  this.wanderJitter = typeof options.wanderJitter === 'undefined' ? 20 : options.wanderJitter;
+  this.collide = !!options.collide;
+  this.collisionShape = options.collisionShape || 'circle';
+  this.tags = options.tags || [];
+  this.restitution = typeof options.restitution === 'undefined' ? this.bounciness : options.restitution;
+  this.edgeBehavior = options.edgeBehavior || null;
+  this.fixedTimestep = !!options.fixedTimestep;
+  this.dt = typeof options.dt === 'undefined' ? 1 : options.dt;
+  this.maxSubsteps = typeof options.maxSubsteps === 'undefined' ? 5 : options.maxSubsteps;
+  this.integrator = options.integrator || 'euler';
+  this.trail = options.trail || null;
+  this.onEdge = options.onEdge || null;
   this.beforeStep = options.beforeStep || null;
   this.afterStep = options.afterStep || null;
 
   //
 
-  this.isMouseOut = false;
   this.isPressed = false;
+  this.wanderTheta = 0; // used in Mover.wander()
+  this.collisionNeighbors = []; // used in Mover._checkCollisions()
+  this.frictionForceVector = new Burner.Vector(); // used in Mover.step()
+  this.steeringForceVector = new Burner.Vector(); // used in Mover.arrive(), Mover.flee() and Mover.wander()
+  this.predictedTarget = {location: new Burner.Vector()}; // used in Mover.pursue() and Mover.evade()
+  this.edgeForceVector = new Burner.Vector(); // used in Mover._checkAvoidEdges()
+  this.dragForceVector = new Burner.Vector(); // used in Mover.drag()
+  this.attractForceVector = new Burner.Vector(); // used in Mover.attract()
+  this.lastAcceleration = null; // used in Mover._integrate()
+  this.timeAccumulator = 0; // used in Clock.getSteps()
+  Trail.reset(this);
+
+  this.pointerId = null; // used in Mover.pointerdown()
+  this.dragOffset = new Burner.Vector(); // used in Mover.pointerdown()
+  this.dragVelocity = new Burner.Vector(); // used in Mover.pointermove()
+  this.lastDragTime = 0; // used in Mover.pointermove()
+
+  if (this.draggable && !this._pointerHandlers) {
+    this._addPointerEvents();
+  }
 
-  var mouseover = (function (me) {
-    return (function(e) {
-      me.mouseover(e, me);
-    });
-  })(this);
-
-  var mousedown = (function (me) {
-    return (function(e) {
-      me.mousedown(e, me);
-    });
-  })(this);
-
-  var mousemove = (function (me) {
-    return (function(e) {
-      me.mousemove(e, me);
-    });
-  })(this);
-
-  var mouseup = (function (me) {
-    return (function(e) {
-      me.mouseup(e, me);
-    });
-  })(this);
-
-  var mouseout = (function (me) {
-    return (function(e) {
-      me.mouseout(e, me);
-    });
-  })(this);
-
-  if (this.draggable) {
-    Utils.addEvent(this.el, 'mouseover', mouseover);
-    Utils.addEvent(this.el, 'mousedown', mousedown);
-    Utils.addEvent(this.el, 'mousemove', mousemove);
-    Utils.addEvent(this.el, 'mouseup', mouseup);
-    Utils.addEvent(this.el, 'mouseout', mouseout);
+  if (options.parent) {
+    if (options.parent.addChild) {
+      options.parent.addChild(this);
+    } else {
+      this.parent = options.parent;
+    }
   }
 };
 
-Mover.prototype.mouseover = function(e) {
-  this.isMouseOut = false;
-  clearInterval(this.mouseOutInterval);
+/**
+ * Adds pointer event listeners to object's DOM element.
+ * @private
+ */
+Mover.prototype._addPointerEvents = function() {
+
+  var me = this;
+
+  this._pointerHandlers = {
+    pointerdown: function(e) {
+      me.pointerdown(e);
+    },
+    pointermove: function(e) {
+      me.pointermove(e);
+    },
+    pointerup: function(e) {
+      me.pointerup(e);
+    },
+    pointercancel: function(e) {
+      me.pointerup(e);
+    }
+  };
+
+  Utils.addEvent(this.el, 'pointerdown', this._pointerHandlers.pointerdown);
+  Utils.addEvent(this.el, 'pointermove', this._pointerHandlers.pointermove);
+  Utils.addEvent(this.el, 'pointerup', this._pointerHandlers.pointerup);
+  Utils.addEvent(this.el, 'pointercancel', this._pointerHandlers.pointercancel);
 };
 
-Mover.prototype.mousedown = function(e) {
+/**
+ * Called by a pointerdown event listener. Starts dragging object and
+ * captures the pointer so object receives its events even if the pointer
+ * moves faster than object. Each object tracks its own pointer so several
+ * objects can be dragged at once.
+ *
+ * @param {Object} e The event object passed by the listener.
+ */
+Mover.prototype.pointerdown = function(e) {
 
-  var touch, target = e.target || e.srcElement; // <= IE* uses srcElement
+  if (!this.draggable || this.isPressed || (e.button && e.button !== 0)) {
+    return;
+  }
 
-  if (e.changedTouches) {
-    touch = e.changedTouches[0];
+  this.isPressed = true;
+  this.pointerId = e.pointerId;
+  if (this.el.setPointerCapture) {
+    this.el.setPointerCapture(e.pointerId);
   }
 
-  if (e.pageX && e.pageY) {
-    this.offsetX = e.pageX - target.offsetLeft;
-    this.offsetY = e.pageY - target.offsetTop;
-  } else if (e.clientX && e.clientY) {
-    this.offsetX = e.clientX - target.offsetLeft;
-    this.offsetY = e.clientY - target.offsetTop;
-  } else if (touch) {
-    this.offsetX = touch.pageX - target.offsetLeft;
-    this.offsetY = touch.pageY - target.offsetTop;
+  this.dragOffset.x = this.location.x - this._getPointerX(e);
+  this.dragOffset.y = this.location.y - this._getPointerY(e);
+  this.dragVelocity.x = 0;
+  this.dragVelocity.y = 0;
+  this.velocity.x = 0;
+  this.velocity.y = 0;
+  this.lastDragTime = typeof e.timeStamp === 'number' ? e.timeStamp : Clock.now();
+
+  if (e.preventDefault) {
+    e.preventDefault();
   }
 
-  this.isPressed = true;
-  this.isMouseOut = false;
+  if (this.onDragStart) {
+    this.onDragStart.call(this, e);
+  }
 };
 
 /**
- * Called by a mousemove event listener.
+ * Called by a pointermove event listener. Moves object with the pointer
+ * and measures its velocity.
  *
  * @param {Object} e The event object passed by the listener.
  */
-Mover.prototype.mousemove = function(e) {
+Mover.prototype.pointermove = function(e) {
 
-  var x, y, touch;
+  var x, y, time, elapsed;
 
-  if (this.isPressed) {
+  if (!this.isPressed || e.pointerId !== this.pointerId) {
+    return;
+  }
 
-    this.isMouseOut = false;
+  x = this._getPointerX(e) + this.dragOffset.x;
+  y = this._getPointerY(e) + this.dragOffset.y;
+  time = typeof e.timeStamp === 'number' ? e.timeStamp : Clock.now();
+  elapsed = (time - this.lastDragTime) / Clock.frameDuration;
 
-    if (e.changedTouches) {
-      touch = e.changedTouches[0];
-    }
+  if (elapsed > 0) { // smooth the velocity in 60 Hz frames
+    this.dragVelocity.x = (this.dragVelocity.x + (x - this.location.x) / elapsed) / 2;
+    this.dragVelocity.y = (this.dragVelocity.y + (y - this.location.y) / elapsed) / 2;
+  }
+  this.lastDragTime = time;
 
-    if (e.pageX && e.pageY) {
-      x = e.pageX - this.world.el.offsetLeft;
-      y = e.pageY - this.world.el.offsetTop;
-    } else if (e.clientX && e.clientY) {
-      x = e.clientX - this.world.el.offsetLeft;
-      y = e.clientY - this.world.el.offsetTop;
-    } else if (touch) {
-      x = touch.pageX - this.world.el.offsetLeft;
-      y = touch.pageY - this.world.el.offsetTop;
-    }
+  this.location.x = x;
+  this.location.y = y;
 
-    if (Utils.mouseIsInsideWorld(this.world)) {
-      this.location = new Burner.Vector(x, y);
-    } else {
-      this.isPressed = false;
-    }
+  if (e.preventDefault) {
+    e.preventDefault();
   }
-};
 
-/**
- * Called by a mouseup event listener.
- *
- * @param {Object} e The event object passed by the listener.
- */
-Mover.prototype.mouseup = function(e) {
-  this.isPressed = false;
+  if (this.onDrag) {
+    this.onDrag.call(this, e);
+  }
 };
 
 /**
- * Called by a mouseout event listener.
+ * Called by pointerup and pointercancel event listeners. Releases object
+ * with the velocity it was dragged at so it can be thrown.
  *
  * @param {Object} e The event object passed by the listener.
- * @param {Object} obj The object associated with the event target.
  */
-Mover.prototype.mouseout = function(e, obj) {
+Mover.prototype.pointerup = function(e) {
 
+  var time;
 
+  if (!this.isPressed || e.pointerId !== this.pointerId) {
+    return;
+  }
 
-  var me = obj, mouse = Burner.System.mouse,
-      x, y;
-
-  if (obj.isPressed) {
+  time = typeof e.timeStamp === 'number' ? e.timeStamp : Clock.now();
+  if (time - this.lastDragTime > Mover.maxThrowDelay) { // the pointer stopped before it was released
+    this.dragVelocity.x = 0;
+    this.dragVelocity.y = 0;
+  }
 
-    obj.isMouseOut = true;
+  this.velocity.x = this.dragVelocity.x;
+  this.velocity.y = this.dragVelocity.y;
+  this.isPressed = false;
+  this.pointerId = null;
+  if (this.el.releasePointerCapture && this.el.hasPointerCapture && this.el.hasPointerCapture(e.pointerId)) {
+    this.el.releasePointerCapture(e.pointerId);
+  }
 
-    obj.mouseOutInterval = setInterval(function () { // if mouse is too fast for block update, update via an interval until it catches up
+  if (this.onDragEnd) {
+    this.onDragEnd.call(this, e);
+  }
+};
 
-      if (me.isPressed && me.isMouseOut) {
+/**
+ * If the pointer is released more than this many milliseconds after
+ * it last moved, a dragged object is dropped instead of thrown.
+ * @type {number}
+ */
+Mover.maxThrowDelay = 100;
 
-        x = mouse.location.x - me.world.el.offsetLeft;
-        y = mouse.location.y - me.world.el.offsetTop;
+/**
+ * Returns a pointer's x coordinate relative to object's world.
+ * @private
+ */
+Mover.prototype._getPointerX = function(e) {
+  var el = this.world.el;
+  return e.clientX - (el.getBoundingClientRect ? el.getBoundingClientRect().left : el.offsetLeft);
+};
 
-        me.location = new Burner.Vector(x, y);
-      }
-    }, 16);
-  }
+/**
+ * Returns a pointer's y coordinate relative to object's world.
+ * @private
+ */
+Mover.prototype._getPointerY = function(e) {
+  var el = this.world.el;
+  return e.clientY - (el.getBoundingClientRect ? el.getBoundingClientRect().top : el.offsetTop);
 };
 
 /**
@@ -202,7 +311,7 @@ Mover.prototype.mouseout = function(e, obj) {
  */
 Mover.prototype.step = function() {
 
-  var friction, r, theta, x, y;
+  var friction, i, steps, dt;
 
   if (this.beforeStep) {
     this.beforeStep.apply(this);
@@ -210,28 +319,38 @@ Mover.prototype.step = function() {
 
   if (!this.isStatic && !this.isPressed) {
 
-    // start apply forces
+    steps = Clock.getSteps(this);
+    dt = this.fixedTimestep ? this.dt : 1;
 
-    if (this.world.c) { // friction
-      friction = Utils.clone(this.velocity);
-      friction.mult(-1);
-      friction.normalize();
-      friction.mult(this.world.c);
-      this.applyForce(friction);
-    }
-    this.applyForce(this.world.gravity); // gravity
+    for (i = 0; i < steps; i++) {
 
-    if (this.applyForces) { // !! rename this
-      this.applyForces();
-    }
+      // start apply forces
 
-    // end apply forces
+      if (this.world.c) { // friction
+        friction = this.frictionForceVector || (this.frictionForceVector = new Burner.Vector());
+        friction.x = -this.velocity.x;
+        friction.y = -this.velocity.y;
+        friction.normalize();
+        friction.mult(this.world.c);
+        this.applyForce(friction);
+      }
+      this.applyForce(this.world.gravity); // gravity
 
-    this.velocity.add(this.acceleration); // add acceleration
+      if (this.applyForces) { // !! rename this
+        this.applyForces();
+      }
+
+      // end apply forces
 
-    this.velocity.limit(this.maxSpeed, this.minSpeed);
+      this._integrate(dt);
+
+      if (this.collide) {
+        this._checkCollisions();
+      }
+
+      this.acceleration.mult(0);
+    }
 
-    this.location.add(this.velocity); // add velocity
     if (this.pointToDirection) { // object rotates toward direction
       if (this.velocity.mag() > 0.1) {
         this.angle = Utils.radiansToDegrees(Math.atan2(this.velocity.y, this.velocity.x));
@@ -243,42 +362,460 @@ Mover.prototype.step = function() {
     this._checkCameraEdges();
   }
 
-  if (this.checkWorldEdges) {
+  if (this.edgeBehavior) {
+    if (this._checkEdges()) { // object was destroyed
+      return;
+    }
+  } else if (this.checkWorldEdges) {
     this._checkWorldEdges();
   }
 
   if (this.parent) { // parenting
+    this._updateFromParent();
+  }
 
-    if (this.offsetDistance) {
+  if (this.children && this.children.length) {
+    this._updateChildren();
+  }
 
-      r = this.offsetDistance; // use angle to calculate x, y
-      theta = Utils.degreesToRadians(this.parent.angle + this.offsetAngle);
-      x = r * Math.cos(theta);
-      y = r * Math.sin(theta);
+  this.acceleration.mult(0);
 
-      this.location.x = this.parent.location.x;
-      this.location.y = this.parent.location.y;
-      this.location.add(new Burner.Vector(x, y)); // position the child
+  if (this.life < this.lifespan) {
+    this.life += 1;
+  } else if (this.lifespan !== -1) {
+    this.destroy();
+  }
 
-      if (this.pointToParentDirection) {
-        this.angle = Utils.radiansToDegrees(Math.atan2(this.parent.velocity.y, this.parent.velocity.x));
+  if (this.afterStep) {
+    this.afterStep.apply(this);
+  }
+};
+
+/**
+ * Adds a child. The child is fixed to object relative to its offsetDistance and
+ * offsetAngle and is removed from its previous parent.
+ *
+ * @param {Object} child The child.
+ * @returns {Object} The child.
+ */
+Mover.prototype.addChild = function(child) {
+
+  if (child.parent === this) {
+    return child;
+  }
+  if (child.parent && child.parent.removeChild) {
+    child.parent.removeChild(child);
+  }
+  child.parent = this;
+  this.children[this.children.length] = child;
+  return child;
+};
+
+/**
+ * Removes a child. The child stays where it is and keeps its parent's velocity.
+ *
+ * @param {Object} child The child.
+ * @returns {Object|null} The child or null if it is not a child of object.
+ */
+Mover.prototype.removeChild = function(child) {
+
+  var index = this.children.indexOf(child);
+
+  if (index === -1) {
+    return null;
+  }
+  this.children.splice(index, 1);
+  child.parent = null;
+  if (child.location === this.location) { // no longer share a location with the parent
+    child.location = new Burner.Vector(this.location.x, this.location.y);
+  }
+  if (child.velocity && this.velocity) {
+    child.velocity.x = this.velocity.x;
+    child.velocity.y = this.velocity.y;
+  }
+  child.scale = typeof child.localScale === 'undefined' ? child.scale : child.localScale;
+  return child;
+};
+
+/**
+ * Removes object from the system. If destroyChildren = true, its children
+ * are also destroyed. Otherwise they are detached.
+ */
+Mover.prototype.destroy = function() {
+
+  var child;
+
+  while (this.children && this.children.length) {
+    child = this.children[this.children.length - 1];
+    this.removeChild(child);
+    if (this.destroyChildren) {
+      if (child.destroy) {
+        child.destroy();
+      } else {
+        Burner.System.destroyItem(child);
       }
+    }
+  }
+
+  if (this.parent && this.parent.removeChild) {
+    this.parent.removeChild(this);
+  }
+
+  Burner.System.destroyItem(this);
+};
+
+/**
+ * Converts a point relative to object's location, angle and scale
+ * to world coordinates.
+ *
+ * @param {Object} point The point in object's coordinates.
+ * @param {Object} [opt_result] A vector to store the result in.
+ * @returns {Object} The point in world coordinates.
+ */
+Mover.prototype.localToWorld = function(point, opt_result) {
+
+  var result = opt_result || new Burner.Vector(),
+      theta = Utils.degreesToRadians(this.angle),
+      cos = Math.cos(theta),
+      sin = Math.sin(theta),
+      scale = this.scale || 1,
+      x = point.x * scale,
+      y = point.y * scale;
+
+  result.x = this.location.x + x * cos - y * sin;
+  result.y = this.location.y + x * sin + y * cos;
+  return result;
+};
+
+/**
+ * Converts a point in world coordinates to a point relative to
+ * object's location, angle and scale.
+ *
+ * @param {Object} point The point in world coordinates.
+ * @param {Object} [opt_result] A vector to store the result in.
+ * @returns {Object} The point in object's coordinates.
+ */
+Mover.prototype.worldToLocal = function(point, opt_result) {
+
+  var result = opt_result || new Burner.Vector(),
+      theta = Utils.degreesToRadians(this.angle),
+      cos = Math.cos(theta),
+      sin = Math.sin(theta),
+      scale = this.scale || 1,
+      x = point.x - this.location.x,
+      y = point.y - this.location.y;
+
+  result.x = (x * cos + y * sin) / scale;
+  result.y = (y * cos - x * sin) / scale;
+  return result;
+};
 
+/**
+ * Fixes object to its parent relative to its offset distance and angle.
+ * @private
+ */
+Mover.prototype._updateFromParent = function() {
+
+  var parent = this.parent,
+      parentScale = parent.scale || 1,
+      r, theta;
+
+  if (typeof this.localScale !== 'undefined') {
+    this.scale = this.localScale * parentScale;
+  }
+
+  if (this.offsetDistance) {
+
+    r = this.offsetDistance * parentScale; // use angle to calculate x, y
+    theta = Utils.degreesToRadians(parent.angle + this.offsetAngle);
+
+    if (this.location === parent.location) {
+      this.location = new Burner.Vector();
+    }
+    this.location.x = parent.location.x + r * Math.cos(theta); // position the child
+    this.location.y = parent.location.y + r * Math.sin(theta);
+
+    if (this.pointToParentDirection) {
+      this.angle = Utils.radiansToDegrees(Math.atan2(parent.velocity.y, parent.velocity.x));
+    }
+
+  } else {
+    this.location = parent.location;
+  }
+};
+
+/**
+ * Moves object's children and their descendants so they stay
+ * fixed to object after it has moved.
+ * @private
+ */
+Mover.prototype._updateChildren = function() {
+
+  var i, max, child;
+
+  for (i = 0, max = this.children.length; i < max; i++) {
+    child = this.children[i];
+    if (child._updateFromParent) {
+      child._updateFromParent();
+    }
+    if (child.children && child.children.length) {
+      child._updateChildren();
+    }
+  }
+};
+
+/**
+ * Updates the corresponding DOM element's style property and draws object's trail.
+ */
+Mover.prototype.draw = function() {
+  if (this.trail) {
+    Trail.update(this);
+  }
+  Mover._superClass.prototype.draw.call(this);
+};
+
+/**
+ * Updates velocity and location from acceleration over a timestep.
+ *
+ * @param {number} dt The timestep in 60 Hz frames.
+ * @private
+ */
+Mover.prototype._integrate = function(dt) {
+
+  var acceleration = this.acceleration,
+      velocity = this.velocity,
+      location = this.location,
+      lastAcceleration = this.lastAcceleration,
+      lastX = velocity.x,
+      lastY = velocity.y,
+      dx, dy, distance, maxDistance;
+
+  if (this.integrator === 'verlet') {
+    if (lastAcceleration) { // finish the last step's velocity now that forces at this location are known
+      velocity.x += (lastAcceleration.x + acceleration.x) * 0.5 * dt;
+      velocity.y += (lastAcceleration.y + acceleration.y) * 0.5 * dt;
+      velocity.limit(this.maxSpeed, this.minSpeed);
+      if (this.maxTurnRate) {
+        this._limitTurn(lastX, lastY, this.maxTurnRate * dt);
+      }
     } else {
-      this.location = this.parent.location;
+      lastAcceleration = this.lastAcceleration = new Burner.Vector();
+    }
+    dx = velocity.x * dt + 0.5 * acceleration.x * dt * dt;
+    dy = velocity.y * dt + 0.5 * acceleration.y * dt * dt;
+    distance = Math.sqrt(dx * dx + dy * dy);
+    maxDistance = this.maxSpeed * dt;
+    if (maxDistance && distance > maxDistance) { // do not move faster than maxSpeed
+      dx *= maxDistance / distance;
+      dy *= maxDistance / distance;
+    }
+    location.x += dx;
+    location.y += dy;
+    lastAcceleration.x = acceleration.x;
+    lastAcceleration.y = acceleration.y;
+  } else { // semi-implicit Euler
+    velocity.x += acceleration.x * dt;
+    velocity.y += acceleration.y * dt;
+    velocity.limit(this.maxSpeed, this.minSpeed);
+    if (this.maxTurnRate) {
+      this._limitTurn(lastX, lastY, this.maxTurnRate * dt);
     }
+    location.x += velocity.x * dt;
+    location.y += velocity.y * dt;
   }
 
-  this.acceleration.mult(0);
+  this.angularVelocity += this.angularAcceleration * dt;
+  if (!this.pointToDirection) {
+    this.angle += this.angularVelocity * dt;
+  }
+  this.angularAcceleration = 0;
+};
 
-  if (this.life < this.lifespan) {
-    this.life += 1;
-  } else if (this.lifespan !== -1) {
-    Burner.System.destroyItem(this);
+/**
+ * Rotates velocity back toward its last direction if it turned more than allowed.
+ *
+ * @param {number} lastX The x component of the last velocity.
+ * @param {number} lastY The y component of the last velocity.
+ * @param {number} maxTurn The maximum turn in degrees.
+ * @private
+ */
+Mover.prototype._limitTurn = function(lastX, lastY, maxTurn) {
+
+  var velocity = this.velocity,
+      mag = velocity.mag(),
+      lastAngle = Math.atan2(lastY, lastX),
+      turn = Math.atan2(velocity.y, velocity.x) - lastAngle;
+
+  if (!mag || (!lastX && !lastY)) {
+    return;
   }
 
-  if (this.afterStep) {
-    this.afterStep.apply(this);
+  if (turn > Math.PI) {
+    turn -= Math.PI * 2;
+  } else if (turn < -Math.PI) {
+    turn += Math.PI * 2;
+  }
+
+  maxTurn = Utils.degreesToRadians(maxTurn);
+  if (Math.abs(turn) > maxTurn) {
+    turn = turn > 0 ? maxTurn : -maxTurn;
+    velocity.x = Math.cos(lastAngle + turn) * mag;
+    velocity.y = Math.sin(lastAngle + turn) * mag;
+  }
+};
+
+/**
+ * Returns object's moment of inertia. Object is treated as a solid rectangle.
+ *
+ * @returns {number} The moment of inertia.
+ */
+Mover.prototype.getMomentOfInertia = function() {
+  return this.mass * (this.width * this.width + this.height * this.height) / 12;
+};
+
+/**
+ * Adds a torque to object's angular acceleration.
+ *
+ * @param {number} torque The torque. Positive values turn object clockwise.
+ * @returns {number} Object's angular acceleration.
+ */
+Mover.prototype.applyTorque = function(torque) {
+
+  var inertia = this.getMomentOfInertia();
+
+  if (inertia) {
+    this.angularAcceleration += Utils.radiansToDegrees(torque / inertia);
+  }
+  return this.angularAcceleration;
+};
+
+/**
+ * Applies a force at a point. Forces applied away from object's center
+ * also make object spin.
+ *
+ * @param {Object} force The force.
+ * @param {Object} point The point in world coordinates.
+ * @returns {number} Object's angular acceleration.
+ */
+Mover.prototype.applyForceAtPoint = function(force, point) {
+  this.applyForce(force);
+  return this.applyTorque((point.x - this.location.x) * force.y - (point.y - this.location.y) * force.x);
+};
+
+/**
+ * Applies the edge behavior to each axis.
+ *
+ * @returns {boolean} True if object was destroyed.
+ * @private
+ */
+Mover.prototype._checkEdges = function() {
+
+  var behavior = this.edgeBehavior,
+      behaviorX = typeof behavior === 'string' ? behavior : behavior.x || 'none',
+      behaviorY = typeof behavior === 'string' ? behavior : behavior.y || 'none';
+
+  return this._checkEdge('x', behaviorX, this.world.bounds[1], this.width, 'left', 'right') ||
+      this._checkEdge('y', behaviorY, this.world.bounds[2], this.height, 'top', 'bottom');
+};
+
+/**
+ * Checks object's location against the world's edges along one axis and applies an edge behavior.
+ *
+ * @param {string} axis 'x' or 'y'.
+ * @param {string} behavior The edge behavior.
+ * @param {number} max The world's size along the axis.
+ * @param {number} size Object's size along the axis.
+ * @param {string} minEdge The name of the edge at 0.
+ * @param {string} maxEdge The name of the edge at max.
+ * @returns {boolean} True if object was destroyed.
+ * @private
+ */
+Mover.prototype._checkEdge = function(axis, behavior, max, size, minEdge, maxEdge) {
+
+  var location = this.location,
+      half = size / 2,
+      restitution = typeof this.restitution === 'undefined' ? this.bounciness : this.restitution,
+      last = location[axis],
+      edge = null;
+
+  switch (behavior) {
+
+    case 'bounce':
+    case 'clamp':
+      if (location[axis] + half > max) {
+        edge = maxEdge;
+        location[axis] = max - half;
+      } else if (location[axis] - half < 0) {
+        edge = minEdge;
+        location[axis] = half;
+      }
+      if (edge) {
+        this.velocity[axis] = behavior === 'bounce' ? this.velocity[axis] * -restitution : 0;
+      }
+      break;
+
+    case 'wrap':
+      if (location[axis] > max) {
+        edge = maxEdge;
+        location[axis] -= max;
+      } else if (location[axis] < 0) {
+        edge = minEdge;
+        location[axis] += max;
+      }
+      if (edge && this.controlCamera) {
+        this.world.location[axis] += last - location[axis];
+      }
+      break;
+
+    case 'destroy':
+      if (location[axis] - half > max) {
+        edge = maxEdge;
+      } else if (location[axis] + half < 0) {
+        edge = minEdge;
+      }
+      break;
+
+    case 'none':
+      break;
+
+    default:
+      throw new Error('Mover: ' + behavior + ' is not a valid edge behavior.');
+  }
+
+  if (!edge) {
+    return false;
+  }
+
+  if (this.onEdge) {
+    this.onEdge.call(this, edge, behavior);
+  }
+
+  if (behavior === 'destroy') {
+    this.destroy();
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Finds nearby objects with collide = true and resolves any overlap.
+ * @private
+ */
+Mover.prototype._checkCollisions = function() {
+
+  var index = SpatialHash.getIndex(this.world),
+      range = (Math.max(this.width, this.height) + index.getMaxSize()) * Math.SQRT2 / 2 + this.maxSpeed * 2,
+      neighbors = index.query(this.location, range, null, this.collisionNeighbors),
+      i, max, item, contact;
+
+  for (i = 0, max = neighbors.length; i < max; i++) {
+    item = neighbors[i];
+    if (item !== this && item.collide) {
+      contact = Collision.getContact(this, item);
+      if (contact) {
+        Collision.resolve(this, item, contact);
+      }
+    }
   }
 };
 
@@ -290,15 +827,29 @@ Mover.prototype.step = function() {
  * @private
  */
 Mover.prototype._seek = function(target) {
+  return this.arrive(target);
+};
+
+/**
+ * Calculates a steering force to apply to an object arriving at another object.
+ * The object slows down once it is within the slowing radius of the target.
+ *
+ * @param {Object} target The object to arrive at.
+ * @param {number} [opt_slowingRadius = this.slowingRadius] The distance from the target
+ *    where the object starts to slow down.
+ * @returns {Object} The force to apply. The vector is reused by the next steering call.
+ */
+Mover.prototype.arrive = function(target, opt_slowingRadius) {
 
-  var world = this.world,
-    desiredVelocity = Burner.Vector.VectorSub(target.location, this.location),
+  var slowingRadius = this._getSlowingRadius(opt_slowingRadius),
+    desiredVelocity = this._getSteeringForceVector(target.location.x - this.location.x,
+        target.location.y - this.location.y),
     distanceToTarget = desiredVelocity.mag();
 
   desiredVelocity.normalize();
 
-  if (distanceToTarget < world.bounds[1] / 2) { // slow down to arrive at target
-    var m = Utils.map(distanceToTarget, 0, world.bounds[1] / 2, 0, this.maxSpeed);
+  if (distanceToTarget < slowingRadius) { // slow down to arrive at target
+    var m = Utils.map(distanceToTarget, 0, slowingRadius, 0, this.maxSpeed);
     desiredVelocity.mult(m);
   } else {
     desiredVelocity.mult(this.maxSpeed);
@@ -310,6 +861,133 @@ Mover.prototype._seek = function(target) {
   return desiredVelocity;
 };
 
+/**
+ * Calculates a steering force to apply to an object fleeing another object.
+ *
+ * @param {Object} target The object to flee.
+ * @returns {Object} The force to apply. The vector is reused by the next steering call.
+ */
+Mover.prototype.flee = function(target) {
+
+  var desiredVelocity = this._getSteeringForceVector(this.location.x - target.location.x,
+      this.location.y - target.location.y);
+
+  desiredVelocity.normalize();
+  desiredVelocity.mult(this.maxSpeed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
+/**
+ * Calculates a steering force to apply to an object pursuing another object.
+ * The object seeks the target's predicted location based on the target's velocity.
+ *
+ * @param {Object} target The object to pursue.
+ * @returns {Object} The force to apply.
+ */
+Mover.prototype.pursue = function(target) {
+  return this._seek(this._predictLocation(target));
+};
+
+/**
+ * Calculates a steering force to apply to an object evading another object.
+ * The object flees the target's predicted location based on the target's velocity.
+ *
+ * @param {Object} target The object to evade.
+ * @returns {Object} The force to apply.
+ */
+Mover.prototype.evade = function(target) {
+  return this.flee(this._predictLocation(target));
+};
+
+/**
+ * Calculates a steering force to apply to an object wandering its world.
+ * Each step, the object steers toward a point on a circle projected ahead
+ * of it. The point moves a small random amount along the circle every step.
+ *
+ * @returns {Object} The force to apply.
+ */
+Mover.prototype.wander = function() {
+
+  var heading, theta, desiredVelocity;
+
+  this.wanderTheta += Utils.getRandomNumber(-this.wanderJitter, this.wanderJitter, true);
+
+  if (this.velocity.mag() > 0) {
+    heading = Math.atan2(this.velocity.y, this.velocity.x);
+  } else {
+    heading = Utils.degreesToRadians(this.angle);
+  }
+  theta = heading + Utils.degreesToRadians(this.wanderTheta);
+
+  desiredVelocity = this._getSteeringForceVector( // from the object to the point on the wander circle
+      Math.cos(heading) * this.wanderDistance + Math.cos(theta) * this.wanderRadius,
+      Math.sin(heading) * this.wanderDistance + Math.sin(theta) * this.wanderRadius);
+
+  desiredVelocity.normalize();
+  desiredVelocity.mult(this.maxSpeed);
+  desiredVelocity.sub(this.velocity);
+  desiredVelocity.limit(this.maxSteeringForce);
+
+  return desiredVelocity;
+};
+
+/**
+ * Returns a target at another target's location after it travels at its current
+ * velocity for as many steps as this object needs to reach it at max speed.
+ *
+ * @param {Object} target The target.
+ * @returns {Object} An object with a location. The object is reused by the next call.
+ * @private
+ */
+Mover.prototype._predictLocation = function(target) {
+
+  var prediction = this.location.distance(target.location) / (this.maxSpeed || 1),
+      predictedTarget = this.predictedTarget || (this.predictedTarget = {location: new Burner.Vector()}),
+      velocityX = target.velocity ? target.velocity.x : 0,
+      velocityY = target.velocity ? target.velocity.y : 0;
+
+  predictedTarget.location.x = target.location.x + velocityX * prediction;
+  predictedTarget.location.y = target.location.y + velocityY * prediction;
+  return predictedTarget;
+};
+
+/**
+ * Returns this object's steering scratch vector set to the passed values.
+ *
+ * @param {number} x The x value.
+ * @param {number} y The y value.
+ * @returns {Object} A vector.
+ * @private
+ */
+Mover.prototype._getSteeringForceVector = function(x, y) {
+
+  var force = this.steeringForceVector || (this.steeringForceVector = new Burner.Vector());
+
+  force.x = x;
+  force.y = y;
+  return force;
+};
+
+/**
+ * Returns the distance from a target where the object starts to slow down.
+ *
+ * @param {number} [opt_slowingRadius] Overrides this.slowingRadius.
+ * @returns {number} A distance.
+ * @private
+ */
+Mover.prototype._getSlowingRadius = function(opt_slowingRadius) {
+  if (typeof opt_slowingRadius !== 'undefined') {
+    return opt_slowingRadius;
+  }
+  if (this.slowingRadius !== null && typeof this.slowingRadius !== 'undefined') {
+    return this.slowingRadius;
+  }
+  return this.world.bounds[1] / 2;
+};
+
 /**
  * Checks if object is within range of a world edge. If so, steers the object
  * in the opposite direction.
@@ -317,7 +995,7 @@ Mover.prototype._seek = function(target) {
  */
 Mover.prototype._checkAvoidEdges = function() {
 
-  var maxSpeed, desiredVelocity;
+  var maxSpeed, desiredVelocity = this.edgeForceVector || (this.edgeForceVector = new Burner.Vector());
 
   if (this.location.x < this.avoidWorldEdgesStrength) {
     maxSpeed = this.maxSpeed;
@@ -325,8 +1003,8 @@ Mover.prototype._checkAvoidEdges = function() {
     maxSpeed = -this.maxSpeed;
   }
   if (maxSpeed) {
-    desiredVelocity = new Burner.Vector(maxSpeed, this.velocity.y);
-    desiredVelocity.sub(this.velocity);
+    desiredVelocity.x = maxSpeed - this.velocity.x;
+    desiredVelocity.y = 0;
     desiredVelocity.limit(this.maxSteeringForce);
     this.applyForce(desiredVelocity);
   }
@@ -337,8 +1015,8 @@ Mover.prototype._checkAvoidEdges = function() {
     maxSpeed = -this.maxSpeed;
   }
   if (maxSpeed) {
-    desiredVelocity = new Burner.Vector(this.velocity.x, maxSpeed);
-    desiredVelocity.sub(this.velocity);
+    desiredVelocity.x = 0;
+    desiredVelocity.y = maxSpeed - this.velocity.y;
     desiredVelocity.limit(this.maxSteeringForce);
     this.applyForce(desiredVelocity);
   }
@@ -354,8 +1032,10 @@ Mover.prototype.drag = function(target) {
 
   var speed = this.velocity.mag(),
     dragMagnitude = -1 * target.c * speed * speed, // drag magnitude
-    drag = Utils.clone(this.velocity);
+    drag = this.dragForceVector;
 
+  drag.x = this.velocity.x;
+  drag.y = this.velocity.y;
   drag.normalize(); // drag direction
   drag.mult(dragMagnitude);
 
@@ -370,9 +1050,11 @@ Mover.prototype.drag = function(target) {
  */
 Mover.prototype.attract = function(attractor) {
 
-  var force = Burner.Vector.VectorSub(attractor.location, this.location),
+  var force = this.attractForceVector,
     distance, strength;
 
+  force.x = attractor.location.x - this.location.x;
+  force.y = attractor.location.y - this.location.y;
   distance = force.mag();
   distance = Utils.constrain(distance, this.width * this.height, attractor.width * attractor.height); // min = scale/8 (totally arbitrary); max = scale; the size of the attractor
   force.normalize();
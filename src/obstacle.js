@@ -0,0 +1,124 @@
+/*global Burner */
+/**
+ * Creates a new Obstacle.
+ *
+ * Obstacles are circles or boxes that Agents with avoidObstacles = true
+ * steer around.
+ *
+ * @constructor
+ * @extends Agent
+ *
+ * @param {Object} [opt_options=] A map of initial properties.
+ */
+function Obstacle(opt_options) {
+  var options = opt_options || {};
+  options.name = options.name || 'Obstacle';
+  Agent.call(this, options);
+}
+Utils.extend(Obstacle, Agent);
+
+/**
+ * Initializes an instance.
+ *
+ * @param {Object} [opt_options=] A map of initial properties.
+ * @param {string} [opt_options.shape = 'circle'] The obstacle's shape. Accepts 'circle' or 'box'.
+ *    Circles use the larger of width and height as their diameter. Boxes are axis-aligned.
+ * @param {string} [opt_options.collisionShape = this.shape] The shape used to detect collisions when collide = true.
+ * @param {boolean} [opt_options.isStatic = true] If true, object will not move.
+ * @param {number} [opt_options.width = 100] Width.
+ * @param {number} [opt_options.height = 100] Height.
+ * @param {number} [opt_options.opacity = 0.75] The object's opacity.
+ * @param {number} [opt_options.zIndex = 1] The object's zIndex.
+ * @param {Array} [opt_options.color = 100, 100, 100] Color.
+ * @param {number} [opt_options.borderWidth = 0] Border width.
+ * @param {string} [opt_options.borderStyle = 'solid'] Border style.
+ * @param {Array} [opt_options.borderColor = 150, 150, 150] Border color.
+ * @param {number} [opt_options.borderRadius = 100 for circles; 0 for boxes] Border radius.
+ */
+Obstacle.prototype.init = function(opt_options) {
+
+  var options = opt_options || {};
+  Obstacle._superClass.prototype.init.call(this, options);
+
+  this.shape = options.shape || 'circle';
+  this.collisionShape = options.collisionShape || this.shape;
+  this.isStatic = typeof options.isStatic === 'undefined' ? true : options.isStatic;
+  this.width = typeof options.width === 'undefined' ? 100 : options.width;
+  this.height = typeof options.height === 'undefined' ? 100 : options.height;
+  this.opacity = typeof options.opacity === 'undefined' ? 0.75 : options.opacity;
+  this.zIndex = typeof options.zIndex === 'undefined' ? 1 : options.zIndex;
+  this.color = options.color || [100, 100, 100];
+  this.borderWidth = options.borderWidth || 0;
+  this.borderStyle = options.borderStyle || 'solid';
+  this.borderColor = options.borderColor || [150, 150, 150];
+  this.borderRadius = typeof options.borderRadius === 'undefined' ?
+      (this.shape === 'circle' ? 100 : 0) : options.borderRadius;
+
+  Burner.System.updateCache(this);
+};
+
+/**
+ * Returns the distance along a ray from a point to where the ray first
+ * touches this obstacle after it is expanded by a margin. If the point is
+ * already inside the expanded obstacle, the distance is 0 unless the
+ * obstacle's center is behind the ray.
+ *
+ * @param {Object} origin The ray's starting point.
+ * @param {number} dirX The x component of the ray's unit direction.
+ * @param {number} dirY The y component of the ray's unit direction.
+ * @param {number} length The ray's length.
+ * @param {number} margin The distance to expand the obstacle by.
+ * @returns {number} The distance to the obstacle or -1 if the ray does not touch it.
+ */
+Obstacle.prototype.getRayHitDistance = function(origin, dirX, dirY, length, margin) {
+
+  var dx = this.location.x - origin.x,
+      dy = this.location.y - origin.y,
+      along = dx * dirX + dy * dirY,
+      halfWidth, halfHeight, lateral, radius, tMin, tMax, t1, t2;
+
+  if (this.shape === 'circle') {
+    radius = Math.max(this.width, this.height) / 2 + margin;
+    lateral = dx * -dirY + dy * dirX;
+    if (Math.abs(lateral) >= radius) {
+      return -1;
+    }
+    t1 = along - Math.sqrt(radius * radius - lateral * lateral);
+    if (t1 > length || (t1 <= 0 && along < 0)) { // out of reach or already passed
+      return -1;
+    }
+    return Math.max(t1, 0);
+  }
+
+  halfWidth = this.width / 2 + margin; // slab test against the expanded box
+  halfHeight = this.height / 2 + margin;
+  tMin = 0;
+  tMax = length;
+
+  if (dirX === 0) {
+    if (Math.abs(dx) >= halfWidth) {
+      return -1;
+    }
+  } else {
+    t1 = (dx - halfWidth) / dirX;
+    t2 = (dx + halfWidth) / dirX;
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+  }
+
+  if (dirY === 0) {
+    if (Math.abs(dy) >= halfHeight) {
+      return -1;
+    }
+  } else {
+    t1 = (dy - halfHeight) / dirY;
+    t2 = (dy + halfHeight) / dirY;
+    tMin = Math.max(tMin, Math.min(t1, t2));
+    tMax = Math.min(tMax, Math.max(t1, t2));
+  }
+
+  if (tMin > tMax || (tMin <= 0 && along < 0)) { // misses or already passed
+    return -1;
+  }
+  return tMin;
+};
@@ -47,6 +47,12 @@ Utils.extend(Oscillator, Burner.Item);
  * @param {number} [opt_options.borderRadius = 100] Border radius.
  * @param {number} [opt_options.boxShadowSpread = this.width / 4] Box-shadow spread.
  * @param {Array} [opt_options.boxShadowColor = 147, 199, 196] Box-shadow color.
+ * @param {boolean} [opt_options.fixedTimestep = false] If true, object steps in fixed increments of dt based on the
+ *    time elapsed since the last frame instead of once per frame.
+ * @param {number} [opt_options.dt = 1] The length of a fixed timestep in 60 Hz frames.
+ * @param {number} [opt_options.maxSubsteps = 5] The maximum number of fixed timesteps per frame.
+ * @param {boolean|Object} [opt_options.trail = null] If set, object draws a trail behind it. Pass true or a map of
+ *    length, fade, width, style ('line' or 'dots') and color. See Trail.
  */
 Oscillator.prototype.init = function(opt_options) {
 
@@ -78,6 +84,12 @@ Oscillator.prototype.init = function(opt_options) {
   this.borderRadius = typeof options.borderRadius === 'undefined' ? 100 : options.borderRadius;
   this.boxShadowSpread = options.boxShadowSpread || 0;
   this.boxShadowColor = options.boxShadowColor || [200, 100, 0];
+  this.fixedTimestep = !!options.fixedTimestep;
+  this.dt = typeof options.dt === 'undefined' ? 1 : options.dt;
+  this.maxSubsteps = typeof options.maxSubsteps === 'undefined' ? 5 : options.maxSubsteps;
+  this.timeAccumulator = 0; // used in Clock.getSteps()
+  this.trail = options.trail || null;
+  Trail.reset(this);
 };
 
 /**
@@ -85,7 +97,7 @@ Oscillator.prototype.init = function(opt_options) {
  */
 Oscillator.prototype.step = function () {
 
-  var world = this.world, velDiff;
+  var world = this.world, velDiff, i, steps, dt;
 
   if (this.beforeStep) {
     this.beforeStep.apply(this);
@@ -93,12 +105,18 @@ Oscillator.prototype.step = function () {
 
   if (!this.isStatic && !this.isPressed) {
 
+    steps = Clock.getSteps(this);
+    dt = this.fixedTimestep ? this.dt : 1;
+
     if (this.isPerlin) {
-      this.perlinTime += this.perlinSpeed;
+      this.perlinTime += this.perlinSpeed * steps * dt;
       this.aVelocity.x =  Utils.map(SimplexNoise.noise(this.perlinTime + this.perlinOffsetX, 0, 0.1), -1, 1, this.perlinAccelLow, this.perlinAccelHigh);
       this.aVelocity.y =  Utils.map(SimplexNoise.noise(0, this.perlinTime + this.perlinOffsetY, 0.1), -1, 1, this.perlinAccelLow, this.perlinAccelHigh);
     } else {
-      this.aVelocity.add(this.acceleration); // add acceleration
+      for (i = 0; i < steps; i++) {
+        this.aVelocity.x += this.acceleration.x * dt; // add acceleration
+        this.aVelocity.y += this.acceleration.y * dt;
+      }
     }
 
     this.location.x = this.initialLocation.x + Math.sin(this.aVelocity.x) * this.amplitude.x;
@@ -131,3 +149,13 @@ Oscillator.prototype.step = function () {
     }
   }
 };
+
+/**
+ * Updates the corresponding DOM element's style property and draws object's trail.
+ */
+Oscillator.prototype.draw = function() {
+  if (this.trail) {
+    Trail.update(this);
+  }
+  Oscillator._superClass.prototype.draw.call(this);
+};
@@ -0,0 +1,83 @@
+/*global Burner, document */
+/**
+ * Manages a canvas that covers each world. Items draw things like trails
+ * on it instead of adding DOM elements. The canvas is cleared once per frame.
+ *
+ * @namespace
+ */
+var Overlay = {};
+
+/**
+ * Holds the canvas for each world keyed by world id.
+ * @private
+ */
+Overlay._overlays = {};
+
+/**
+ * Returns the 2d drawing context of a world's overlay, cleared if this is the
+ * first request in the current frame. Creates the canvas the first time
+ * it is requested.
+ *
+ * @function getContext
+ * @memberof Overlay
+ * @param {Object} world A world.
+ * @returns {Object|null} A CanvasRenderingContext2D or null if the browser does not support canvas.
+ */
+Overlay.getContext = function(world) {
+
+  var overlay = Overlay._overlays[world.id];
+
+  if (!overlay || overlay.canvas.parentNode !== world.el) {
+    overlay = Overlay._overlays[world.id] = Overlay._create(world);
+  }
+
+  if (!overlay.context) {
+    return null;
+  }
+
+  if (overlay.clock !== Burner.System.clock) {
+    if (overlay.canvas.width !== world.width || overlay.canvas.height !== world.height) {
+      overlay.canvas.width = world.width;
+      overlay.canvas.height = world.height;
+    }
+    overlay.context.clearRect(0, 0, overlay.canvas.width, overlay.canvas.height);
+    overlay.clock = Burner.System.clock;
+  }
+  return overlay.context;
+};
+
+/**
+ * Converts a color to a CSS color string.
+ *
+ * @function getColor
+ * @memberof Overlay
+ * @param {string|Array} color A CSS color string or an array of rgb values.
+ * @returns {string} A CSS color string.
+ */
+Overlay.getColor = function(color) {
+  if (Utils.getDataType(color) === 'array') {
+    return 'rgb(' + color[0] + ', ' + color[1] + ', ' + color[2] + ')';
+  }
+  return color;
+};
+
+/**
+ * Creates a canvas and appends it to a world.
+ * @private
+ */
+Overlay._create = function(world) {
+
+  var canvas = document.createElement('canvas');
+
+  canvas.className = 'overlay';
+  canvas.width = world.width;
+  canvas.height = world.height;
+  canvas.style.cssText = 'position: absolute; top: 0; left: 0; pointer-events: none; z-index: 1000;';
+  world.el.appendChild(canvas);
+
+  return {
+    canvas: canvas,
+    context: canvas.getContext ? canvas.getContext('2d') : null,
+    clock: -1
+  };
+};
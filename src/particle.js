@@ -76,40 +76,45 @@ Particle.prototype.init = function(opt_options) {
  */
 Particle.prototype.step = function() {
 
-  var friction;
+  var friction, i, steps = Clock.getSteps(this),
+      dt = this.fixedTimestep ? this.dt : 1;
 
-  // start apply forces
+  for (i = 0; i < steps; i++) {
 
-  if (this.world.c) { // friction
-    friction = Utils.clone(this.velocity);
-    friction.mult(-1);
-    friction.normalize();
-    friction.mult(this.world.c);
-    this.applyForce(friction);
-  }
-  this.applyForce(this.world.gravity); // gravity
+    // start apply forces
+
+    if (this.world.c) { // friction
+      friction = this.frictionForceVector;
+      friction.x = -this.velocity.x;
+      friction.y = -this.velocity.y;
+      friction.normalize();
+      friction.mult(this.world.c);
+      this.applyForce(friction);
+    }
+    this.applyForce(this.world.gravity); // gravity
 
     if (this.applyForces) { // !! rename this
       this.applyForces();
     }
 
-  if (this.checkEdges) {
-    this._checkWorldEdges();
-  }
+    if (this.checkEdges && !this.edgeBehavior) {
+      this._checkWorldEdges();
+    }
 
-  // end apply forces
+    // end apply forces
 
-  this.velocity.add(this.acceleration); // add acceleration
+    this._integrate(dt);
 
-  if (this.maxSpeed) {
-    this.velocity.limit(this.maxSpeed); // check if velocity > maxSpeed
-  }
+    if (this.collide) {
+      this._checkCollisions();
+    }
 
-  if (this.minSpeed) {
-    this.velocity.limit(null, this.minSpeed); // check if velocity < minSpeed
+    this.acceleration.mult(0);
   }
 
-  this.location.add(this.velocity); // add velocity
+  if (this.edgeBehavior && this._checkEdges()) { // object was destroyed
+    return;
+  }
 
   if (this.fade) {
     this.opacity = Utils.map(this.life, 0, this.lifespan, 1, 0);
@@ -123,9 +128,9 @@ Particle.prototype.step = function() {
   this.acceleration.mult(0);
 
   if (this.life < this.lifespan) {
-    this.life += 1;
+    this.life += this.fixedTimestep ? steps * dt : 1;
   } else if (this.lifespan !== -1) {
-    Burner.System.destroyItem(this);
+    this.destroy();
   }
 
 };
@@ -88,7 +88,7 @@ ParticleSystem.prototype.init = function(opt_options) {
     if (this.life < this.lifespan) {
       this.life += 1;
     } else if (this.lifespan !== -1) {
-      Burner.System.destroyItem(this);
+      this.destroy();
       return;
     }
 
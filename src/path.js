@@ -0,0 +1,217 @@
+/*global Burner */
+/**
+ * Creates a new Path.
+ *
+ * A Path is a polyline of points with a radius. Agents with a 'path'
+ * option steer toward a point a short distance ahead on the path while
+ * traveling from the first point to the last. The radius sets how close
+ * they must come to the last point to reach the end.
+ *
+ * @constructor
+ * @extends Burner.Item
+ * @param {Object} [opt_options=] A map of initial properties.
+ */
+function Path(opt_options) {
+  var options = opt_options || {};
+  options.name = options.name || 'Path';
+  Burner.Item.call(this, options);
+}
+Utils.extend(Path, Burner.Item);
+
+/**
+ * Initializes an instance.
+ *
+ * @param {Object} options A map of initial properties.
+ * @param {Array} options.points A list of at least two vectors that define the path.
+ * @param {number} [options.radius = 20] The path's width on either side. Agents reach the end of the path
+ *    when they are within this distance of the last point and slow down inside it.
+ * @param {boolean} [options.loop = false] If true, the last point connects back to the first.
+ * @param {boolean} [options.createMarkers = true] Set to true to visualize the path.
+ * @param {number} [options.opacity = 0.25] The opacity of the path's markers.
+ * @param {Array} [options.color = 150, 150, 150] The color of the path's markers.
+ */
+Path.prototype.init = function(options) {
+
+  var i, max;
+
+  if (!options || !options.points || options.points.length < 2) {
+    throw new Error('Path: options.points requires at least two points.');
+  }
+
+  this.points = [];
+  for (i = 0, max = options.points.length; i < max; i++) {
+    this.points[i] = new Burner.Vector(options.points[i].x, options.points[i].y);
+  }
+  this.radius = typeof options.radius === 'undefined' ? 20 : options.radius;
+  this.loop = !!options.loop;
+  this.createMarkers = typeof options.createMarkers === 'undefined' ? true : options.createMarkers;
+  this.opacity = typeof options.opacity === 'undefined' ? 0.25 : options.opacity;
+  this.color = options.color || [150, 150, 150];
+
+  this.width = 0;
+  this.height = 0;
+  this.isStatic = true;
+  this.location = new Burner.Vector(this.points[0].x, this.points[0].y);
+  this.closestNormal = new Burner.Vector(); // used in Path.getClosestSegment()
+
+  /**
+   * Holds references to the Points and Connectors that visualize the path.
+   * @private
+   */
+  this._markers = [];
+
+  if (this.createMarkers) {
+    this._addMarkers();
+  }
+};
+
+/**
+ * Paths do not move.
+ */
+Path.prototype.step = function() {};
+
+/**
+ * Removes the path and the Points and Connectors that visualize it
+ * from the system.
+ */
+Path.prototype.destroy = function() {
+
+  var marker;
+
+  while (this._markers.length) { // connectors were added last
+    marker = this._markers.pop();
+    if (marker.destroy) {
+      marker.destroy();
+    } else {
+      Burner.System.destroyItem(marker);
+    }
+  }
+
+  Burner.System.destroyItem(this);
+};
+
+/**
+ * Returns the total number of segments.
+ *
+ * @returns {number} The number of segments.
+ */
+Path.prototype.getTotalSegments = function() {
+  return this.loop ? this.points.length : this.points.length - 1;
+};
+
+/**
+ * Returns the start point of a segment.
+ *
+ * @param {number} index The segment index.
+ * @returns {Object} A vector.
+ */
+Path.prototype.getSegmentStart = function(index) {
+  return this.points[index % this.points.length];
+};
+
+/**
+ * Returns the end point of a segment.
+ *
+ * @param {number} index The segment index.
+ * @returns {Object} A vector.
+ */
+Path.prototype.getSegmentEnd = function(index) {
+  return this.points[(index + 1) % this.points.length];
+};
+
+/**
+ * Returns the index of the segment closest to a location.
+ *
+ * @param {Object} location A vector.
+ * @returns {number} The segment index.
+ */
+Path.prototype.getClosestSegment = function(location) {
+
+  var i, max, normal = this.closestNormal, d, closest = 0, record = Infinity;
+
+  for (i = 0, max = this.getTotalSegments(); i < max; i++) {
+    this.getNormalPoint(location, i, normal);
+    d = location.distance(normal);
+    if (d < record) {
+      record = d;
+      closest = i;
+    }
+  }
+  return closest;
+};
+
+/**
+ * Projects a location onto a segment. The returned point is clamped
+ * to the segment's start and end points.
+ *
+ * @param {Object} location A vector.
+ * @param {number} index The segment index.
+ * @param {Object} [opt_result] A vector to store the result in.
+ * @returns {Object} A vector.
+ */
+Path.prototype.getNormalPoint = function(location, index, opt_result) {
+
+  var a = this.getSegmentStart(index),
+      b = this.getSegmentEnd(index),
+      t = this.getSegmentProgress(location, index),
+      result = opt_result || new Burner.Vector();
+
+  t = Utils.constrain(t, 0, 1);
+
+  result.x = a.x + (b.x - a.x) * t;
+  result.y = a.y + (b.y - a.y) * t;
+  return result;
+};
+
+/**
+ * Returns how far a location projects along a segment. Values less than 0
+ * fall before the segment's start; values greater than 1 fall past its end.
+ *
+ * @param {Object} location A vector.
+ * @param {number} index The segment index.
+ * @returns {number} The projection as a fraction of the segment's length.
+ */
+Path.prototype.getSegmentProgress = function(location, index) {
+
+  var a = this.getSegmentStart(index),
+      b = this.getSegmentEnd(index),
+      abX = b.x - a.x,
+      abY = b.y - a.y,
+      lengthSq = abX * abX + abY * abY;
+
+  if (!lengthSq) {
+    return 1;
+  }
+  return ((location.x - a.x) * abX + (location.y - a.y) * abY) / lengthSq;
+};
+
+/**
+ * Adds a Point at each vertex and a Connector along each segment.
+ * @private
+ */
+Path.prototype._addMarkers = function() {
+
+  var i, max, points = [];
+
+  for (i = 0, max = this.points.length; i < max; i++) {
+    points[i] = Burner.System.add('Point', {
+      location: new Burner.Vector(this.points[i].x, this.points[i].y),
+      width: this.radius * 2,
+      height: this.radius * 2,
+      opacity: this.opacity,
+      color: this.color,
+      borderWidth: 0,
+      zIndex: 0
+    }, this.world);
+    this._markers[this._markers.length] = points[i];
+  }
+
+  for (i = 0, max = this.getTotalSegments(); i < max; i++) {
+    this._markers[this._markers.length] = Burner.System.add('Connector', {
+      parentA: points[i],
+      parentB: points[(i + 1) % points.length],
+      borderColor: this.color,
+      zIndex: 0
+    }, this.world);
+  }
+};
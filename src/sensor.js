@@ -18,8 +18,13 @@ Utils.extend(Sensor, Mover);
  * Initializes an instance.
  *
  * @param {Object} [opt_options=] A map of initial properties.
- * @param {string} [opt_options.type = ''] The type of stimulator that can activate this sensor. eg. 'cold', 'heat', 'light', 'oxygen', 'food', 'predator'
+ * @param {string} [opt_options.type = ''] The type of stimulator that can activate this sensor. Either a registered
+ *    Stimulus type eg. 'cold', 'heat', 'light', 'oxygen', 'food' or the name or tag of any item eg. 'Agent', 'predator'.
+ * @param {Object} [opt_options.detects = null] If set, replaces type with a map of 'className' and/or 'tag'. The sensor
+ *    detects items with this className and tag. Items without a className match their name.
+ *    eg. {className: 'Shark'}, {tag: 'predator'}
  * @param {string} [opt_options.behavior = 'LOVE'] The vehicle carrying the sensor will invoke this behavior when the sensor is activated.
+ *    Any behavior in Sensor.behaviors. See Sensor.registerBehavior(). The default 'LOVE' applies no force.
  * @param {number} [opt_options.sensitivity = 2] The higher the sensitivity, the farther away the sensor will activate when approaching a stimulus.
  * @param {number} [opt_options.width = 5] Width.
  * @param {number} [opt_options.height = 5] Height.
@@ -33,6 +38,28 @@ Utils.extend(Sensor, Mover);
  * @param {number} [opt_options.borderWidth = 2] Border width.
  * @param {string} [opt_options.borderStyle = 'solid'] Border style.
  * @param {Array} [opt_options.borderColor = 255, 255, 255] Border color.
+ * @param {string} [opt_options.falloff = 'linear'] How intensity decreases with distance from the target. Possible values: 'linear', 'inverse-square', 'gaussian'.
+ * @param {number} [opt_options.intensity = 0] The strength of the current reading from 0 to 1.
+ * @param {string} [opt_options.targetSelection = 'nearest'] How the target is picked when several stimulators
+ *    are detected. Possible values: 'nearest', 'strongest' (highest intensity), 'first', 'random'.
+ * @param {number} [opt_options.fov = 360] The field of view in degrees. If less than 360, the sensor only detects
+ *    stimulators inside a cone centered on its heading.
+ * @param {number} [opt_options.range = null] The farthest distance the sensor detects a stimulator's center from.
+ *    If null, the range depends on the stimulator's size and the sensor's sensitivity.
+ * @param {boolean} [opt_options.showCone = false] If true, draws the sensor's field of view on the world's overlay.
+ * @param {function} [opt_options.onActivate = null] A function to run when the sensor is activated. Receives the target.
+ * @param {function} [opt_options.onDeactivate = null] A function to run when the sensor is deactivated. Receives the last target.
+ * @param {function} [opt_options.onChange = null] A function to run when the sensor's target changes, including when it
+ *    is activated or deactivated. Receives the new target and the last target. Either may be null.
+ * @param {number} [opt_options.historyLength = 0] The number of recent intensities to keep. Use getGradient() and
+ *    getPastIntensity() to read them.
+ * @param {Object} [opt_options.agent = null] The Agent carrying the sensor. Set by the Agent. Sensors never detect their Agent.
+ * @param {boolean} [opt_options.consumes = true if behavior is 'LOVES' or type is 'food'] If true and the sensor touches
+ *    a consumable Stimulus, the sensor consumes it. See Stimulus.consume().
+ * @param {number} [opt_options.consumptionRate = 1] How much the sensor consumes each step.
+ *
+ * If a Field of the sensor's type exists, the sensor samples the field at its
+ * location instead of detecting Stimuli. See Field.
  */
 Sensor.prototype.init = function(opt_options) {
 
@@ -40,6 +67,7 @@ Sensor.prototype.init = function(opt_options) {
   Sensor._superClass.prototype.init.call(this, options);
 
   this.type = options.type || '';
+  this.detects = options.detects || null;
   this.behavior = options.behavior || 'LOVE';
   this.sensitivity = typeof options.sensitivity === 'undefined' ? 2 : options.sensitivity;
   this.width = typeof options.width === 'undefined' ? 7 : options.width;
@@ -54,6 +82,39 @@ Sensor.prototype.init = function(opt_options) {
   this.borderWidth = typeof options.borderWidth === 'undefined' ? 2 : options.borderWidth;
   this.borderStyle = 'solid';
   this.borderColor = [255, 255, 255];
+  this.falloff = options.falloff || 'linear';
+  this.intensity = options.intensity || 0;
+  this.targetSelection = options.targetSelection || 'nearest';
+  this.fov = typeof options.fov === 'undefined' ? 360 : options.fov;
+  this.range = typeof options.range === 'undefined' ? null : options.range;
+  this.showCone = !!options.showCone;
+  this.onActivate = options.onActivate || null;
+  this.onDeactivate = options.onDeactivate || null;
+  this.onChange = options.onChange || null;
+  this.historyLength = options.historyLength || 0;
+  this.agent = options.agent || null;
+  this.consumes = typeof options.consumes === 'undefined' ?
+      this.behavior === 'LOVES' || this.type === 'food' : options.consumes;
+  this.consumptionRate = typeof options.consumptionRate === 'undefined' ? 1 : options.consumptionRate;
+
+  //
+
+  /**
+   * A list of every stimulator detected in the last step. Each reading is a
+   * map of target, distance, bearing (degrees from the sensor's heading;
+   * positive is clockwise) and intensity. Readings are reused between steps.
+   */
+  this.readings = [];
+  this.readingPool = []; // used in Sensor._addReading()
+  this.history = []; // used in Sensor._recordIntensity()
+  this.historyIndex = 0; // used in Sensor._recordIntensity()
+  this.historyCount = 0; // used in Sensor._recordIntensity()
+
+  this.stimuliInRange = []; // used in Sensor._getStimuliInRange()
+  this.activationForceVector = new Burner.Vector(); // used in Sensor.getActivationForce()
+  this.fieldTarget = {location: new Burner.Vector(), width: 0, height: 0}; // used in Sensor._sampleField()
+  this.fieldReading = {target: this.fieldTarget, distance: 0, bearing: 0, intensity: 0}; // used in Sensor._sampleField()
+  this.fieldGradient = new Burner.Vector(); // used in Sensor._sampleField()
 };
 
 /**
@@ -61,199 +122,661 @@ Sensor.prototype.init = function(opt_options) {
  */
 Sensor.prototype.step = function() {
 
-  var check = false, i, max;
-
-  var heat = Burner.System._caches.Heat || {list: []},
-      cold = Burner.System._caches.Cold || {list: []},
-      predators = Burner.System._caches.Predators || {list: []},
-      lights = Burner.System._caches.Light || {list: []},
-      oxygen = Burner.System._caches.Oxygen || {list: []},
-      food = Burner.System._caches.Food || {list: []};
-
-  // what if cache does not exist?
-
-  if (this.type === 'heat' && heat.list && heat.list.length > 0) {
-    for (i = 0, max = heat.list.length; i < max; i++) { // heat
-      if (this.isInside(this, heat.list[i], this.sensitivity)) {
-        this.target = heat.list[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === 'cold' && cold.list && cold.list.length > 0) {
-    for (i = 0, max = cold.list.length; i < max; i++) { // cold
-      if (this.isInside(this, cold.list[i], this.sensitivity)) {
-        this.target = cold.list[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === 'predator' && predators.list && predators.list.length > 0) {
-    for (i = 0, max = predators.list.length; i < max; i += 1) { // predator
-      if (this.isInside(this, predators.list[i], this.sensitivity)) {
-        this.target = predators.list[i]; // target this stimulator
-        this.activated = true; // set activation
-        check = true;
-      }
-    }
-  } else if (this.type === 'light' && lights.list && lights.list.length > 0) {
-    for (i = 0, max = lights.list.length; i < max; i++) { // light
-      // check the obj has not been marked as deleted
-      if (lights.lookup[lights.list[i].id]) {
-        if (this.isInside(this, lights.list[i], this.sensitivity)) {
-          this.target = lights.list[i]; // target this stimulator
-          this.activated = true; // set activation
-          check = true;
-        }
-      }
-    }
-  } else if (this.type === 'oxygen' && oxygen.list && oxygen.list.length > 0) {
-    for (i = 0, max = oxygen.list.length; i < max; i += 1) { // oxygen
-      // check the obj has not been marked as deleted
-      if (oxygen.lookup[oxygen.list[i].id]) {
-        if (this.isInside(this, oxygen.list[i], this.sensitivity)) {
-          this.target = oxygen.list[i]; // target this stimulator
-          this.activated = true; // set activation
-          check = true;
-        }
-      }
-    }
-  } else if (this.type === 'food' && food.list && food.list.length > 0) {
-    for (i = 0, max = food.list.length; i < max; i += 1) { // food
-      // check the obj has not been marked as deleted
-      if (food.lookup[food.list[i].id]) {
-        if (this.isInside(this, food.list[i], this.sensitivity)) {
-          this.target = food.list[i]; // target this stimulator
-          this.activated = true; // set activation
-          check = true;
-        }
+  var i, max, list, reading,
+      name = this.getTargetName(),
+      tag = this.getTargetTag(),
+      field = this.getField(),
+      lastTarget = this.target,
+      wasActivated = this.activated;
+
+  this.readings.length = 0;
+
+  if (field) {
+    reading = this._sampleField(field);
+  } else if (name || tag) {
+    list = this._getStimuliInRange(tag || this.detects ? '' : name); // tagged items and classes may have any name
+    for (i = 0, max = list.length; i < max; i++) {
+      if (this.isTarget(list[i]) && this.canDetect(list[i])) {
+        this._addReading(list[i]);
       }
     }
+    reading = this.readings.length ? this._selectReading() : null;
   }
-  if (!check) {
+  if (!reading) {
     this.target = null;
     this.activated = false;
+    this.intensity = 0;
     this.color = 'transparent';
   } else {
+    this.target = reading.target; // target this stimulator
+    this.activated = true; // set activation
+    this.intensity = reading.intensity;
     this.color = this.activatedColor;
   }
+
+  if (this.consumes && this.intensity === 1 && this.target.consume) { // touching the target
+    this.target.consume(this.consumptionRate);
+  }
+
+  if (this.historyLength) {
+    this._recordIntensity();
+  }
+
+  if (this.activated && !wasActivated && this.onActivate) {
+    this.onActivate.call(this, this.target);
+  } else if (!this.activated && wasActivated && this.onDeactivate) {
+    this.onDeactivate.call(this, lastTarget);
+  }
+  if (this.target !== lastTarget && this.onChange) {
+    this.onChange.call(this, this.target, lastTarget);
+  }
+
   if (this.afterStep) {
     this.afterStep.apply(this);
   }
 
 };
 
+/**
+ * Adds the current intensity to the history. Intensities are stored in a
+ * ring buffer so recording does not allocate once the history is full.
+ *
+ * @private
+ */
+Sensor.prototype._recordIntensity = function() {
+
+  if (this.historyIndex >= this.historyLength) { // length changed
+    this.history.length = 0;
+    this.historyIndex = 0;
+    this.historyCount = 0;
+  }
+
+  this.history[this.historyIndex] = this.intensity;
+  this.historyIndex = (this.historyIndex + 1) % this.historyLength;
+  this.historyCount = Math.min(this.historyCount + 1, this.historyLength);
+};
+
+/**
+ * Returns the intensity recorded a number of steps ago.
+ *
+ * @param {number} [opt_stepsAgo = 0] The number of steps ago. 0 returns the latest intensity.
+ * @returns {number} An intensity or the oldest recorded intensity if the history is shorter.
+ *    0 if nothing has been recorded.
+ */
+Sensor.prototype.getPastIntensity = function(opt_stepsAgo) {
+
+  var stepsAgo = Math.min(opt_stepsAgo || 0, this.historyCount - 1);
+
+  if (!this.historyCount) {
+    return 0;
+  }
+  return this.history[(this.historyIndex - 1 - stepsAgo + this.historyLength * 2) % this.historyLength];
+};
+
+/**
+ * Returns the average change in intensity per step over the history.
+ * A positive gradient means the sensor is moving toward the stimulus.
+ *
+ * @returns {number} The change in intensity per step.
+ */
+Sensor.prototype.getGradient = function() {
+
+  if (this.historyCount < 2) {
+    return 0;
+  }
+  return (this.getPastIntensity(0) - this.getPastIntensity(this.historyCount - 1)) / (this.historyCount - 1);
+};
+
+/**
+ * Adds a reading of a detected stimulator to the readings list.
+ *
+ * @param {Object} target A stimulator.
+ * @private
+ */
+Sensor.prototype._addReading = function(target) {
+
+  var reading = this.readingPool[this.readings.length];
+
+  if (!reading) {
+    reading = this.readingPool[this.readings.length] = {};
+  }
+
+  reading.target = target;
+  reading.distance = this.location.distance(target.location);
+  reading.bearing = this.getBearing(target);
+  reading.intensity = this.getIntensity(target);
+  this.readings[this.readings.length] = reading;
+};
+
+/**
+ * Returns the reading to target according to targetSelection.
+ *
+ * @returns {Object} A reading.
+ * @private
+ */
+Sensor.prototype._selectReading = function() {
+
+  var i, max, reading, selected = this.readings[0];
+
+  switch (this.targetSelection) {
+    case 'first':
+      return selected;
+
+    case 'random':
+      return this.readings[Utils.getRandomNumber(0, this.readings.length - 1)];
+
+    case 'nearest':
+    case 'strongest':
+      for (i = 1, max = this.readings.length; i < max; i++) {
+        reading = this.readings[i];
+        if (this.targetSelection === 'nearest' ? reading.distance < selected.distance :
+            reading.intensity > selected.intensity) {
+          selected = reading;
+        }
+      }
+      return selected;
+
+    default:
+      throw new Error('Sensor: ' + this.targetSelection + ' is not a valid targetSelection.');
+  }
+};
+
+/**
+ * Returns the direction this sensor faces in degrees. Sensors carried by
+ * an Agent take the Agent's angle, so the heading points out from the
+ * Agent at offsetAngle.
+ *
+ * @returns {number} An angle in degrees.
+ */
+Sensor.prototype.getHeading = function() {
+  return this.angle + this.offsetAngle;
+};
+
+/**
+ * Returns the angle to a target relative to this sensor's heading.
+ *
+ * @param {Object} target An item.
+ * @returns {number} An angle in degrees from -180 to 180. Positive is clockwise.
+ */
+Sensor.prototype.getBearing = function(target) {
+
+  var bearing = Utils.radiansToDegrees(Math.atan2(target.location.y - this.location.y,
+      target.location.x - this.location.x)) - this.getHeading();
+
+  bearing %= 360;
+  if (bearing > 180) {
+    bearing -= 360;
+  } else if (bearing <= -180) {
+    bearing += 360;
+  }
+  return bearing;
+};
+
+/**
+ * Returns the farthest distance from which this sensor detects a target's center.
+ *
+ * @param {Object} target An item.
+ * @returns {number} A distance.
+ */
+Sensor.prototype.getRange = function(target) {
+
+  var targetSize;
+
+  if (this.range !== null) {
+    return this.range;
+  }
+  targetSize = Math.max(target.width, target.height);
+  return (targetSize + Math.max(this.width, this.height)) / 2 + this.sensitivity * targetSize;
+};
+
+/**
+ * Checks if this sensor can detect a target. Sensors with a fov or range
+ * detect targets inside their cone. Otherwise, the target's box inflated
+ * by sensitivity must overlap the sensor.
+ *
+ * @param {Object} target An item.
+ * @returns {boolean} True if the target is detected.
+ */
+Sensor.prototype.canDetect = function(target) {
+
+  if (this.fov >= 360 && this.range === null) {
+    return this.isInside(this, target, this.sensitivity);
+  }
+  if (this.location.distance(target.location) > this.getRange(target)) {
+    return false;
+  }
+  return this.fov >= 360 || Math.abs(this.getBearing(target)) <= this.fov / 2;
+};
+
+/**
+ * Returns the name of the items that can activate this sensor. Registered
+ * Stimulus types map to their Stimulus name, eg. 'heat' -> 'Heat'. Any
+ * other type is used as an item name, eg. 'Agent'. With 'detects', returns
+ * the className.
+ *
+ * @returns {string} An item name or className.
+ */
+Sensor.prototype.getTargetName = function() {
+
+  if (this.detects) {
+    return this.detects.className || '';
+  }
+  if (!this.type) {
+    return '';
+  }
+  if (Stimulus.types[this.type.toLowerCase()]) {
+    return Stimulus.getName(this.type);
+  }
+  return this.type;
+};
+
+/**
+ * Returns the tag of the items that can activate this sensor. A type
+ * that is not a registered Stimulus type is also used as a tag.
+ *
+ * @returns {string} A tag.
+ */
+Sensor.prototype.getTargetTag = function() {
+
+  if (this.detects) {
+    return this.detects.tag || '';
+  }
+  if (!this.type || Stimulus.types[this.type.toLowerCase()]) {
+    return '';
+  }
+  return this.type;
+};
+
+/**
+ * Checks if an item is the kind of item that can activate this sensor.
+ * With 'detects', the item must match both the className and tag if set.
+ * Items without a className match on their name.
+ * With 'type', the item must match the name or the tag.
+ *
+ * @param {Object} item An item.
+ * @returns {boolean} True if the item can activate this sensor.
+ */
+Sensor.prototype.isTarget = function(item) {
+
+  var name = this.getTargetName(),
+      tag = this.getTargetTag(),
+      named, tagged;
+
+  if (item === this || item === this.agent || item.dormant) {
+    return false;
+  }
+
+  named = !!name && (this.detects ? Agent.getSpecies(item) : item.name) === name;
+  tagged = !!tag && !!item.tags && item.tags.indexOf(tag) !== -1;
+
+  if (this.detects) {
+    return (!!name || !!tag) && (!name || named) && (!tag || tagged);
+  }
+  return named || tagged;
+};
+
+/**
+ * Returns the Field this sensor samples. Sensors sample a Field in their
+ * world with the same type. Sensors with 'detects' never sample a Field.
+ *
+ * @returns {Object|null} A Field.
+ */
+Sensor.prototype.getField = function() {
+
+  var cache = Burner.System._caches.Field,
+      type = this.type.toLowerCase(),
+      i, max, field;
+
+  if (!cache || !type || this.detects) {
+    return null;
+  }
+
+  for (i = 0, max = cache.list.length; i < max; i++) {
+    field = cache.list[i];
+    if (cache.lookup[field.id] && field.type === type && field.world === this.world) {
+      return field;
+    }
+  }
+  return null;
+};
+
+/**
+ * Samples a Field at the sensor's location. The reading's target is a
+ * point one cell uphill so behaviors steer along the field's gradient.
+ * The reading and its target are reused between steps.
+ *
+ * @param {Object} field A Field.
+ * @returns {Object|null} A reading or null if the intensity is below the field's threshold.
+ * @private
+ */
+Sensor.prototype._sampleField = function(field) {
+
+  var reading = this.fieldReading,
+      gradient = field.getGradient(this.location, this.fieldGradient),
+      intensity = Utils.constrain(field.getValue(this.location) / field.maxValue, 0, 1),
+      distance = Math.max(field.resolution, this.width);
+
+  if (intensity < field.threshold) {
+    return null;
+  }
+
+  if (gradient.mag()) {
+    gradient.normalize();
+  } else {
+    distance = 0; // at a peak
+  }
+  this.fieldTarget.location.x = this.location.x + gradient.x * distance;
+  this.fieldTarget.location.y = this.location.y + gradient.y * distance;
+
+  reading.distance = distance;
+  reading.bearing = distance ? this.getBearing(this.fieldTarget) : 0;
+  reading.intensity = intensity;
+  this.readings[0] = reading;
+  return reading;
+};
+
+/**
+ * Returns the stimulators close enough to possibly activate this sensor.
+ * Uses the world's shared SpatialHash so only nearby stimulators are
+ * checked. The index skips stimulators that have been destroyed.
+ *
+ * @param {string} name The name of the stimulator. If empty, items with any name are returned.
+ * @returns {Array} A list of stimulators.
+ * @private
+ */
+Sensor.prototype._getStimuliInRange = function(name) {
+
+  var index = SpatialHash.getIndex(this.world),
+      maxSize = index.getMaxSize(name),
+      range = this.range !== null ? this.range : (maxSize / 2 + this.sensitivity * maxSize) * Math.SQRT2 +
+          Math.max(this.width, this.height);
+
+  return index.query(this.location, range, name, this.stimuliInRange);
+};
+
 /**
  * Returns a force to apply to an agent when its sensor is activated.
+ * The force comes from the function registered for the sensor's behavior
+ * and is scaled by the sensor's intensity. The vector is reused by the
+ * sensor's next call.
  *
+ * @param {Object} agent The agent carrying the sensor.
+ * @returns {Object} A force to apply.
  */
 Sensor.prototype.getActivationForce = function(agent) {
 
-  var distanceToTarget, desiredVelocity, m, v, steer;
-
-  switch (this.behavior) {
-
-    /**
-     * Steers toward target
-     */
-    case 'AGGRESSIVE':
-      desiredVelocity = Burner.Vector.VectorSub(this.target.location, this.location);
-      distanceToTarget = desiredVelocity.mag();
-      desiredVelocity.normalize();
-
-      m = distanceToTarget/agent.maxSpeed;
-      desiredVelocity.mult(m);
-
-      desiredVelocity.sub(agent.velocity);
-      desiredVelocity.limit(agent.maxSteeringForce);
-
-    return desiredVelocity;
-
-    /**
-     * Steers away from the target
-     */
-    case 'COWARD':
-      desiredVelocity = Burner.Vector.VectorSub(this.target.location, this.location);
-      distanceToTarget = desiredVelocity.mag();
-      desiredVelocity.normalize();
-
-      m = distanceToTarget/agent.maxSpeed;
-      desiredVelocity.mult(-m);
-
-      desiredVelocity.sub(agent.velocity);
-      desiredVelocity.limit(agent.maxSteeringForce);
-
-    return desiredVelocity;
-
-    /**
-     * Speeds toward target and keeps moving
-     */
-    case 'LIKES':
-      var dvLikes = Burner.Vector.VectorSub(this.target.location, this.location);
-      distanceToTarget = dvLikes.mag();
-      dvLikes.normalize();
-
-      m = distanceToTarget/agent.maxSpeed;
-      dvLikes.mult(m);
-
-      steer = Burner.Vector.VectorSub(dvLikes, agent.velocity);
-      steer.limit(agent.maxSteeringForce);
-      return steer;
-
-    /**
-     * Arrives at target and remains
-     */
-    case 'LOVES':
-      var dvLoves = Burner.Vector.VectorSub(this.target.location, this.location); // desiredVelocity
-      distanceToTarget = dvLoves.mag();
-      dvLoves.normalize();
-
-      if (distanceToTarget > this.width) {
-        m = distanceToTarget/agent.maxSpeed;
-        dvLoves.mult(m);
-        steer = Burner.Vector.VectorSub(dvLoves, agent.velocity);
-        steer.limit(agent.maxSteeringForce);
-        return steer;
-      }
-      agent.velocity = new Burner.Vector();
-      agent.acceleration = new Burner.Vector();
-      return new Burner.Vector();
-
-    /**
-     * Arrives at target but does not stop
-     */
-    case 'EXPLORER':
-
-      var dvExplorer = Burner.Vector.VectorSub(this.target.location, this.location);
-      distanceToTarget = dvExplorer.mag();
-      dvExplorer.normalize();
-
-      m = distanceToTarget/agent.maxSpeed;
-      dvExplorer.mult(-m);
-
-      steer = Burner.Vector.VectorSub(dvExplorer, agent.velocity);
-      steer.limit(agent.maxSteeringForce * 0.05);
-      return steer;
-
-    /**
-     * Moves in the opposite direction as fast as possible
-     */
-    /*case "RUN":
-      return this.flee(this.target);*/
-
-    case 'ACCELERATE':
-      v = agent.velocity.clone();
-      v.normalize();
-      return v.mult(agent.minSpeed);
-
-    case 'DECELERATE':
-      v = agent.velocity.clone();
-      v.normalize();
-      return v.mult(-agent.minSpeed);
+  var force = this.activationForceVector,
+      behavior = Sensor.behaviors[this.behavior],
+      result;
+
+  force.x = 0;
+  force.y = 0;
+
+  if (!behavior) {
+    if (this.behavior && !Sensor._warnings[this.behavior]) { // warn once per behavior
+      Sensor._warnings[this.behavior] = true;
+      Utils.log('Sensor: ' + this.behavior + ' is not a registered behavior. Use Sensor.registerBehavior() to add it.');
+    }
+    return force;
+  }
+
+  result = behavior(this, agent, this.target);
+  if (result && result !== force) { // do not change the returned vector
+    force.x = result.x;
+    force.y = result.y;
+  }
+
+  return force.mult(this.intensity);
+};
+
+/**
+ * Holds the functions that calculate the force for each behavior keyed
+ * by behavior name.
+ * @type {Object}
+ */
+Sensor.behaviors = {};
+
+/**
+ * Holds the unregistered behaviors that have been warned about.
+ * @private
+ */
+Sensor._warnings = {};
+
+/**
+ * Registers a behavior that sensors can invoke when activated.
+ *
+ * @param {string} name The behavior name. eg. 'CURIOUS'
+ * @param {function} fn A function that receives the sensor, the agent carrying it
+ *    and the sensor's target and returns a force vector. Functions may fill and
+ *    return sensor.activationForceVector to avoid allocating a new vector.
+ */
+Sensor.registerBehavior = function(name, fn) {
+  if (typeof fn !== 'function') {
+    throw new Error('Sensor: registerBehavior() requires a function for ' + name + '.');
+  }
+  Sensor.behaviors[name] = fn;
+  delete Sensor._warnings[name];
+};
+
+/**
+ * Steers toward target.
+ */
+Sensor.registerBehavior('AGGRESSIVE', function(sensor, agent) {
+
+  var force = sensor.activationForceVector,
+      distanceToTarget = sensor._setDirectionToTarget(force);
+
+  force.mult(distanceToTarget/agent.maxSpeed);
+  force.sub(agent.velocity);
+  force.limit(agent.maxSteeringForce);
+  return force;
+});
+
+/**
+ * Speeds toward target and keeps moving.
+ */
+Sensor.registerBehavior('LIKES', Sensor.behaviors.AGGRESSIVE);
+
+/**
+ * Steers away from the target.
+ */
+Sensor.registerBehavior('COWARD', function(sensor, agent) {
+
+  var force = sensor.activationForceVector,
+      distanceToTarget = sensor._setDirectionToTarget(force);
+
+  force.mult(-distanceToTarget/agent.maxSpeed);
+  force.sub(agent.velocity);
+  force.limit(agent.maxSteeringForce);
+  return force;
+});
+
+/**
+ * Arrives at target and remains.
+ */
+Sensor.registerBehavior('LOVES', function(sensor, agent) {
+
+  var force = sensor.activationForceVector,
+      distanceToTarget = sensor._setDirectionToTarget(force);
+
+  if (distanceToTarget > sensor.width) {
+    force.mult(distanceToTarget/agent.maxSpeed);
+    force.sub(agent.velocity);
+    force.limit(agent.maxSteeringForce);
+    return force;
+  }
+  agent.velocity.x = 0;
+  agent.velocity.y = 0;
+  agent.acceleration.x = 0;
+  agent.acceleration.y = 0;
+  force.x = 0;
+  force.y = 0;
+  return force;
+});
+
+/**
+ * The default behavior. Applies no force so the sensor only reports its target.
+ */
+Sensor.registerBehavior('LOVE', function(sensor) {
+
+  var force = sensor.activationForceVector;
+
+  force.x = 0;
+  force.y = 0;
+  return force;
+});
+
+/**
+ * Arrives at target but does not stop.
+ */
+Sensor.registerBehavior('EXPLORER', function(sensor, agent) {
+
+  var force = sensor.activationForceVector,
+      distanceToTarget = sensor._setDirectionToTarget(force);
+
+  force.mult(-distanceToTarget/agent.maxSpeed);
+  force.sub(agent.velocity);
+  force.limit(agent.maxSteeringForce * 0.05);
+  return force;
+});
+
+/**
+ * Moves in the opposite direction as fast as possible.
+ */
+Sensor.registerBehavior('RUN', function(sensor, agent, target) {
+  return agent.flee(target);
+});
+
+/**
+ * Speeds up in the direction of travel.
+ */
+Sensor.registerBehavior('ACCELERATE', function(sensor, agent) {
+
+  var force = sensor.activationForceVector;
+
+  force.x = agent.velocity.x;
+  force.y = agent.velocity.y;
+  force.normalize();
+  return force.mult(agent.minSpeed);
+});
+
+/**
+ * Slows down in the direction of travel.
+ */
+Sensor.registerBehavior('DECELERATE', function(sensor, agent) {
+
+  var force = sensor.activationForceVector;
+
+  force.x = agent.velocity.x;
+  force.y = agent.velocity.y;
+  force.normalize();
+  return force.mult(-agent.minSpeed);
+});
+
+/**
+ * Returns the strength of a target's signal from 0 to 1. Intensity is 1
+ * when the sensor touches the target and falls off to 0 at the edge of
+ * the sensor's range following its 'falloff' curve.
+ *
+ * @param {Object} target A stimulator.
+ * @returns {number} An intensity from 0 to 1.
+ */
+Sensor.prototype.getIntensity = function(target) {
+
+  var targetSize = Math.max(target.width, target.height),
+      contactDistance = (targetSize + Math.max(this.width, this.height)) / 2,
+      range = this.getRange(target) - contactDistance,
+      distance = this.location.distance(target.location),
+      t;
+
+  if (distance <= contactDistance) {
+    return 1;
+  }
+
+  t = range > 0 ? (distance - contactDistance) / range : 1; // 0 at contact, 1 at the edge of the range
+
+  switch (this.falloff) {
+    case 'linear':
+      return Utils.constrain(1 - t, 0, 1);
+
+    case 'inverse-square':
+      return Utils.constrain(Math.pow(contactDistance / distance, 2), 0, 1);
+
+    case 'gaussian':
+      return Utils.constrain(Math.exp(-4.5 * t * t), 0, 1); // standard deviation is a third of the range
 
     default:
-      return new Burner.Vector();
+      throw new Error('Sensor: ' + this.falloff + ' is not a valid falloff.');
+  }
+};
+
+/**
+ * Draws the sensor and, if showCone is true, its field of view.
+ */
+Sensor.prototype.draw = function() {
+  Sensor._superClass.prototype.draw.call(this);
+  if (this.showCone) {
+    this._drawCone();
+  }
+};
+
+/**
+ * Draws the sensor's field of view on the world's overlay out to its
+ * range. Sensors without a range use the largest target's range.
+ *
+ * @private
+ */
+Sensor.prototype._drawCone = function() {
+
+  var context = Overlay.getContext(this.world),
+      name = this.getTargetName(),
+      tag = this.getTargetTag(),
+      maxSize, range, heading, x = this.location.x, y = this.location.y;
+
+  if (!context) {
+    return;
+  }
+
+  if (this.range !== null) {
+    range = this.range;
+  } else {
+    maxSize = name || tag ? SpatialHash.getIndex(this.world).getMaxSize(tag || this.detects ? '' : name) : 0;
+    range = this.getRange({width: maxSize, height: maxSize});
+  }
+  heading = Utils.degreesToRadians(this.getHeading());
+
+  context.save();
+  context.globalAlpha = 0.2;
+  context.fillStyle = Overlay.getColor(this.activated ? this.activatedColor : this.borderColor);
+  context.beginPath();
+  if (this.fov < 360) {
+    context.moveTo(x, y);
+    context.arc(x, y, range, heading - Utils.degreesToRadians(this.fov / 2),
+        heading + Utils.degreesToRadians(this.fov / 2));
+    context.closePath();
+  } else {
+    context.arc(x, y, range, 0, Math.PI * 2);
   }
+  context.fill();
+  context.restore();
+};
+
+/**
+ * Sets a vector to the unit direction from this sensor to its target.
+ *
+ * @param {Object} result The vector to set.
+ * @returns {number} The distance to the target.
+ * @private
+ */
+Sensor.prototype._setDirectionToTarget = function(result) {
+
+  var distance;
+
+  result.x = this.target.location.x - this.location.x;
+  result.y = this.target.location.y - this.location.y;
+  distance = result.mag();
+  result.normalize();
+  return distance;
 };
 
 /**
@@ -0,0 +1,218 @@
+/*global Burner */
+/**
+ * Creates a new SpatialHash.
+ *
+ * A SpatialHash buckets items into a grid of square cells so an item can
+ * find its neighbors by visiting only the cells around it instead of
+ * looping over every item in the system. Use SpatialHash.getIndex() to
+ * get the shared index for a world; it is rebuilt once per frame.
+ *
+ * @constructor
+ * @param {Object} [opt_options=] A map of initial properties.
+ * @param {number} [opt_options.cellSize = 100] The width and height of each cell.
+ */
+function SpatialHash(opt_options) {
+
+  var options = opt_options || {};
+
+  this.cellSize = typeof options.cellSize === 'undefined' ? 100 : options.cellSize;
+  this.world = null;
+  this.clock = -1;
+  this.count = 0;
+  this.lastId = null;
+  this.maxSize = 0;
+  this.maxSizes = {};
+
+  /**
+   * Holds the cell lists keyed by cell. Lists are emptied but
+   * never deleted so rebuilding the index does not allocate.
+   * @private
+   */
+  this._cells = {};
+  this._keys = [];
+}
+
+SpatialHash.prototype.name = 'SpatialHash';
+
+/**
+ * Holds the shared index for each world keyed by world id.
+ * @private
+ */
+SpatialHash._indexes = {};
+
+/**
+ * Returns the shared index for a world. The index is rebuilt from
+ * the system's records the first time it is requested in a frame and
+ * whenever items were added since it was built. Items destroyed since
+ * the last build are skipped by query().
+ *
+ * @param {Object} world A world.
+ * @returns {Object} A SpatialHash.
+ */
+SpatialHash.getIndex = function(world) {
+
+  var index = SpatialHash._indexes[world.id] ||
+      (SpatialHash._indexes[world.id] = new SpatialHash()),
+      records = Burner.System._records.list,
+      last = records[records.length - 1],
+      lastId = last ? last.id : null;
+
+  if (index.clock !== Burner.System.clock || index.count !== records.length ||
+      index.lastId !== lastId || // added items are appended to the records
+      index.world !== world) { // a new world may reuse an old world's id
+    index.build(records, world);
+    index.world = world;
+    index.clock = Burner.System.clock;
+    index.count = records.length;
+    index.lastId = lastId;
+  }
+  return index;
+};
+
+/**
+ * Checks if an item is still in the system. Destroyed items are marked
+ * in their cache. Items without a cache are always live.
+ *
+ * @param {Object} item An item.
+ * @returns {boolean} True if the item has not been destroyed.
+ * @private
+ */
+SpatialHash._isLive = function(item) {
+  var cache = Burner.System._caches[item.name];
+  return !cache || cache.lookup[item.id] !== false;
+};
+
+/**
+ * Empties all cells.
+ */
+SpatialHash.prototype.clear = function() {
+
+  var i, max, key;
+
+  for (i = 0, max = this._keys.length; i < max; i++) {
+    key = this._keys[i];
+    this._cells[key].length = 0;
+  }
+  this._keys.length = 0;
+  this.maxSize = 0;
+  for (key in this.maxSizes) {
+    if (this.maxSizes.hasOwnProperty(key)) {
+      this.maxSizes[key] = 0;
+    }
+  }
+};
+
+/**
+ * Empties the index and inserts all items in a list that belong to a world.
+ *
+ * @param {Array} items A list of items.
+ * @param {Object} [opt_world] If passed, only items in this world are inserted.
+ */
+SpatialHash.prototype.build = function(items, opt_world) {
+
+  var i, max, item;
+
+  this.clear();
+
+  for (i = 0, max = items.length; i < max; i++) {
+    item = items[i];
+    if (item.name !== 'World' && item.location && (!opt_world || item.world === opt_world)) {
+      this.insert(item);
+    }
+  }
+};
+
+/**
+ * Adds an item to the cell that contains its location.
+ *
+ * @param {Object} item The item to insert.
+ */
+SpatialHash.prototype.insert = function(item) {
+
+  var key = this._getKey(Math.floor(item.location.x / this.cellSize),
+          Math.floor(item.location.y / this.cellSize)),
+      cell = this._cells[key],
+      size = Math.max(item.width || 0, item.height || 0);
+
+  if (!cell) {
+    cell = this._cells[key] = [];
+  }
+  if (!cell.length) {
+    this._keys[this._keys.length] = key;
+  }
+  cell[cell.length] = item;
+
+  if (size > this.maxSize) {
+    this.maxSize = size;
+  }
+  if (!this.maxSizes[item.name] || size > this.maxSizes[item.name]) {
+    this.maxSizes[item.name] = size;
+  }
+};
+
+/**
+ * Returns all live items whose location is within a radius of a location.
+ *
+ * @param {Object} location A vector.
+ * @param {number} radius The search radius.
+ * @param {string} [opt_name] If passed, only items with this name are returned.
+ * @param {Array} [opt_results] A list to fill with the results. Pass a list
+ *    that is kept between calls to avoid allocating a new list.
+ * @returns {Array} A list of items.
+ */
+SpatialHash.prototype.query = function(location, radius, opt_name, opt_results) {
+
+  var results = opt_results || [],
+      x = location.x, y = location.y,
+      minCol = Math.floor((x - radius) / this.cellSize),
+      maxCol = Math.floor((x + radius) / this.cellSize),
+      minRow = Math.floor((y - radius) / this.cellSize),
+      maxRow = Math.floor((y + radius) / this.cellSize),
+      col, row, cell, i, max, item, dx, dy;
+
+  results.length = 0;
+
+  for (col = minCol; col <= maxCol; col++) {
+    for (row = minRow; row <= maxRow; row++) {
+      cell = this._cells[this._getKey(col, row)];
+      if (cell) {
+        for (i = 0, max = cell.length; i < max; i++) {
+          item = cell[i];
+          if ((!opt_name || item.name === opt_name) && SpatialHash._isLive(item)) {
+            dx = item.location.x - x;
+            dy = item.location.y - y;
+            if (dx * dx + dy * dy <= radius * radius) {
+              results[results.length] = item;
+            }
+          }
+        }
+      }
+    }
+  }
+  return results;
+};
+
+/**
+ * Returns the largest width or height of the items in the index.
+ *
+ * @param {string} [opt_name] If passed, only items with this name are considered.
+ * @returns {number} A size.
+ */
+SpatialHash.prototype.getMaxSize = function(opt_name) {
+  if (opt_name) {
+    return this.maxSizes[opt_name] || 0;
+  }
+  return this.maxSize;
+};
+
+/**
+ * Returns a numeric key for a cell.
+ *
+ * @param {number} col The cell column.
+ * @param {number} row The cell row.
+ * @returns {number} A key.
+ * @private
+ */
+SpatialHash.prototype._getKey = function(col, row) {
+  return (col + 32768) * 65536 + (row + 32768);
+};
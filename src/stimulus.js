@@ -1,22 +1,8 @@
 /*global Burner */
 
-var i, max, pal, color, palettes = {}, border, borderPalette, borderColors = {}, boxShadowColors = {},
+var i, max, border, borderPalette,
     borderStyles = ['double', 'double', 'dotted', 'dashed'];
 
-for (i = 0, max = Config.defaultColorList.length; i < max; i++) {
-  color = Config.defaultColorList[i];
-  pal = new ColorPalette();
-  pal.addColor({
-    min: 20,
-    max: 200,
-    startColor: color.startColor,
-    endColor: color.endColor
-  });
-  palettes[color.name] = pal;
-  borderColors[color.name] = color.borderColor;
-  boxShadowColors[color.name] = color.boxShadowColor;
-}
-
 borderPalette = new BorderPalette();
 for (i = 0, max = borderStyles.length; i < max; i++) {
   border = borderStyles[i];
@@ -40,12 +26,77 @@ function Stimulus(options) {
   if (!options || !options.type) {
     throw new Error('Stimulus: options.type is required.');
   }
-  options.name = options.type.substr(0, 1).toUpperCase() +
-      options.type.toLowerCase().substr(1, options.type.length);
+  if (!Stimulus.types[options.type.toLowerCase()]) {
+    throw new Error('Stimulus: ' + options.type + ' is not a registered type.');
+  }
+  options.name = Stimulus.getName(options.type);
   Agent.call(this, options);
 }
 Utils.extend(Stimulus, Agent);
 
+/**
+ * Holds the registered Stimulus types keyed by lowercase type.
+ * @type {Object}
+ */
+Stimulus.types = {};
+
+/**
+ * Registers a Stimulus type. Once registered, Stimuli of this type can be
+ * added to the System and Sensors with this type will detect them.
+ *
+ * @param {string} type The type. eg. 'water'
+ * @param {Object} options A map of properties that includes:
+ *    colors {Array} The start and end colors of the range Stimuli of this type are colored from.
+ *        Alternatively pass startColor and endColor.
+ *    boxShadowColor {Array} The box-shadow color. Default: the start color.
+ *    Any other property is used as a default for Stimuli of this type. eg. width, height, mass
+ * @returns {Object} The registered type.
+ */
+Stimulus.registerType = function(type, options) {
+
+  var colors = options.colors || [options.startColor, options.endColor],
+      palette = new ColorPalette(),
+      defaults = {}, key;
+
+  if (!type) {
+    throw new Error('Stimulus: registerType() requires a type.');
+  }
+  if (!colors[0] || !colors[1]) {
+    throw new Error('Stimulus: registerType() requires start and end colors for ' + type + '.');
+  }
+
+  palette.addColor({
+    min: 20,
+    max: 200,
+    startColor: colors[0],
+    endColor: colors[1]
+  });
+
+  for (key in options) {
+    if (options.hasOwnProperty(key) && key !== 'colors' && key !== 'startColor' &&
+        key !== 'endColor' && key !== 'boxShadowColor' && key !== 'name') {
+      defaults[key] = options[key];
+    }
+  }
+
+  Stimulus.types[type.toLowerCase()] = {
+    palette: palette,
+    boxShadowColor: options.boxShadowColor || colors[0],
+    defaults: defaults
+  };
+  return Stimulus.types[type.toLowerCase()];
+};
+
+/**
+ * Returns the name given to Stimuli of a type. eg. 'heat' -> 'Heat'
+ *
+ * @param {string} type The type.
+ * @returns {string} The name.
+ */
+Stimulus.getName = function(type) {
+  return type.substr(0, 1).toUpperCase() + type.toLowerCase().substr(1, type.length);
+};
+
 /**
  * Initializes an instance.
  *
@@ -63,10 +114,28 @@ Utils.extend(Stimulus, Agent);
  * @param {number} [opt_options.borderRadius = 100] Border radius.
  * @param {number} [opt_options.boxShadowSpread = this.width / 4] Box-shadow spread.
  * @param {Array} [opt_options.boxShadowColor = 255, 200, 0] Box-shadow color.
+ * @param {number} [opt_options.capacity = null] The most object can hold. If set, object is a resource that
+ *    sensors consume. If null, object never runs out.
+ * @param {number} [opt_options.amount = capacity] How much object currently holds.
+ * @param {number} [opt_options.regrowthRate = 0] How much object regrows each step.
+ * @param {string} [opt_options.whenEmpty = 'destroy'] What happens when object is used up. 'destroy' removes
+ *    object from the system. 'dormant' keeps it but sensors ignore it until it regrows to capacity.
+ * @param {string} [opt_options.depletionStyle = 'shrink'] How object shows what it holds. Possible values:
+ *    'shrink', 'fade', 'none'. An empty object that shrinks keeps 1% of its size.
+ * @param {function} [opt_options.onEmpty = null] A function to run when object is used up.
+ * @param {number} [opt_options.emission = 1] How much object adds each step to a Field of its type. If object
+ *    has a capacity, its emission shrinks as it empties.
  */
 Stimulus.prototype.init = function(opt_options) {
 
-  var options = opt_options || {}, name = this.name.toLowerCase();
+  var options = opt_options || {}, type = Stimulus.types[this.name.toLowerCase()], key;
+
+  for (key in type.defaults) { // apply the type's defaults
+    if (type.defaults.hasOwnProperty(key) && typeof options[key] === 'undefined') {
+      options[key] = type.defaults[key];
+    }
+  }
+
   Stimulus._superClass.prototype.init.call(this, options);
 
   this.mass = typeof options.mass === 'undefined' ? 50 : options.mass ;
@@ -75,16 +144,114 @@ Stimulus.prototype.init = function(opt_options) {
   this.height = typeof options.height === 'undefined' ? 50 : options.height;
   this.opacity = typeof options.opacity === 'undefined' ? 0.75 : options.opacity;
   this.zIndex = typeof options.zIndex === 'undefined' ? 1 : options.zIndex;
-  this.color = options.color || palettes[name].getColor();
+  this.color = options.color || type.palette.getColor();
   this.borderWidth = typeof options.borderWidth === 'undefined' ?
       this.width / Utils.getRandomNumber(2, 8) : options.borderWidth;
   this.borderStyle = typeof options.borderStyle === 'undefined' ?
       borderPalette.getBorder() : options.borderStyle;
-  this.borderColor = typeof options.borderColor === 'undefined' ? palettes[name].getColor() : options.borderColor;
+  this.borderColor = typeof options.borderColor === 'undefined' ? type.palette.getColor() : options.borderColor;
   this.borderRadius = typeof options.borderRadius === 'undefined' ? 100 : options.borderRadius;
   this.boxShadowSpread = typeof options.boxShadowSpread === 'undefined' ?
       this.width / Utils.getRandomNumber(2, 8) : options.boxShadowSpread;
-  this.boxShadowColor = typeof options.boxShadowColor === 'undefined' ? boxShadowColors[name] : options.boxShadowColor;
+  this.boxShadowColor = typeof options.boxShadowColor === 'undefined' ? type.boxShadowColor : options.boxShadowColor;
+  this.capacity = typeof options.capacity === 'undefined' ? null : options.capacity;
+  this.amount = typeof options.amount === 'undefined' ? this.capacity : options.amount;
+  this.regrowthRate = options.regrowthRate || 0;
+  this.whenEmpty = options.whenEmpty || 'destroy';
+  this.depletionStyle = options.depletionStyle || 'shrink';
+  this.onEmpty = options.onEmpty || null;
+  this.emission = typeof options.emission === 'undefined' ? 1 : options.emission;
+  this.dormant = false;
+
+  //
+
+  this.fullOpacity = this.opacity; // used in Stimulus._updateAppearance()
 
   Burner.System.updateCache(this);
 };
+
+/**
+ * Called every frame, step() regrows a consumable object and updates
+ * its appearance to match the amount it holds.
+ */
+Stimulus.prototype.step = function() {
+
+  Stimulus._superClass.prototype.step.call(this);
+
+  if (this.capacity === null) {
+    return;
+  }
+
+  if (this.regrowthRate && this.amount < this.capacity) {
+    this.amount = Math.min(this.amount + this.regrowthRate, this.capacity);
+    if (this.dormant && this.amount === this.capacity) { // fully regrown
+      this.dormant = false;
+    }
+  }
+  this._updateAppearance();
+};
+
+/**
+ * Removes an amount from a consumable object. When the object is used up,
+ * it is destroyed or goes dormant according to whenEmpty.
+ *
+ * @param {number} amount The amount to remove.
+ * @returns {number} The amount actually removed.
+ */
+Stimulus.prototype.consume = function(amount) {
+
+  var consumed;
+
+  if (this.capacity === null) {
+    return amount;
+  }
+  if (this.dormant) {
+    return 0;
+  }
+
+  consumed = Math.min(amount, this.amount);
+  this.amount -= consumed;
+
+  if (this.amount <= 0) {
+    this.amount = 0;
+    if (this.onEmpty) {
+      this.onEmpty.call(this);
+    }
+    if (this.whenEmpty === 'destroy') {
+      this.destroy();
+    } else if (this.whenEmpty === 'dormant') {
+      this.dormant = true;
+      this._updateAppearance();
+    } else {
+      throw new Error('Stimulus: ' + this.whenEmpty + ' is not a valid whenEmpty.');
+    }
+  }
+  return consumed;
+};
+
+/**
+ * Scales or fades object based on how full it is.
+ * @private
+ */
+Stimulus.prototype._updateAppearance = function() {
+
+  var fraction = this.capacity ? this.amount / this.capacity : 0;
+
+  if (this.depletionStyle === 'shrink') {
+    this.scale = Math.max(this.localScale * fraction, 0.01); // Burner draws a scale of 0 at full size
+  } else if (this.depletionStyle === 'fade') {
+    this.opacity = this.fullOpacity * fraction;
+  }
+};
+
+for (i = 0, max = Config.defaultColorList.length; i < max; i++) {
+  Stimulus.registerType(Config.defaultColorList[i].name, Config.defaultColorList[i]);
+}
+
+/**
+ * Registers a Stimulus type. See Stimulus.registerType().
+ *
+ * @function registerStimulusType
+ * @memberof Flora
+ */
+exports.registerStimulusType = Stimulus.registerType;
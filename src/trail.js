@@ -0,0 +1,136 @@
+/*global Burner */
+/**
+ * Records an item's recent locations and draws them on the world's Overlay
+ * as a line or a series of dots behind the item.
+ *
+ * Items opt in with a 'trail' property. The trail may be true or a map of:
+ *    length {number} The number of locations to keep. Default: 20.
+ *    fade {boolean} If true, older locations are more transparent. Default: true.
+ *    width {number} The line width or dot diameter. Default: 2.
+ *    style {string} 'line' or 'dots'. Default: 'line'.
+ *    color {string|Array} The trail's color. Default: the item's color.
+ *
+ * @namespace
+ */
+var Trail = {};
+
+/**
+ * Clears an item's recorded locations. Call when an item is initialized.
+ *
+ * @function reset
+ * @memberof Trail
+ * @param {Object} item An item.
+ */
+Trail.reset = function(item) {
+  item.trailPoints = item.trailPoints || [];
+  item.trailIndex = 0;
+  item.trailCount = 0;
+};
+
+/**
+ * Records an item's location and draws its trail.
+ *
+ * @function update
+ * @memberof Trail
+ * @param {Object} item An item with a trail property.
+ */
+Trail.update = function(item) {
+
+  var context;
+
+  if (!item.trailPoints) {
+    Trail.reset(item);
+  }
+
+  Trail.record(item);
+
+  context = Overlay.getContext(item.world);
+  if (context) {
+    Trail.draw(item, context);
+  }
+};
+
+/**
+ * Adds an item's location to its trail. Points are stored in a ring
+ * buffer so recording does not allocate once the trail is full.
+ *
+ * @function record
+ * @memberof Trail
+ * @param {Object} item An item with a trail property.
+ */
+Trail.record = function(item) {
+
+  var length = Trail._getOption(item, 'length', 20),
+      point;
+
+  if (item.trailIndex >= length) { // length changed
+    Trail.reset(item);
+  }
+
+  point = item.trailPoints[item.trailIndex];
+  if (!point) {
+    point = item.trailPoints[item.trailIndex] = {x: 0, y: 0};
+  }
+  point.x = item.location.x;
+  point.y = item.location.y;
+
+  item.trailIndex = (item.trailIndex + 1) % length;
+  item.trailCount = Math.min(item.trailCount + 1, length);
+};
+
+/**
+ * Draws an item's trail from its oldest to its newest point. Segments
+ * longer than half the world are skipped so trails do not cross the
+ * world when an item wraps around its edges.
+ *
+ * @function draw
+ * @memberof Trail
+ * @param {Object} item An item with a trail property.
+ * @param {Object} context A CanvasRenderingContext2D.
+ */
+Trail.draw = function(item, context) {
+
+  var length = Trail._getOption(item, 'length', 20),
+      fade = Trail._getOption(item, 'fade', true),
+      width = Trail._getOption(item, 'width', 2),
+      style = Trail._getOption(item, 'style', 'line'),
+      color = Overlay.getColor(Trail._getOption(item, 'color', item.color)),
+      opacity = typeof item.opacity === 'undefined' ? 1 : item.opacity,
+      maxJumpX = item.world.width / 2,
+      maxJumpY = item.world.height / 2,
+      start = (item.trailIndex - item.trailCount + length) % length,
+      i, point, last = null;
+
+  context.save();
+  context.strokeStyle = color;
+  context.fillStyle = color;
+  context.lineWidth = width;
+  context.lineCap = 'round';
+
+  for (i = 0; i < item.trailCount; i++) {
+    point = item.trailPoints[(start + i) % length];
+    context.globalAlpha = fade ? opacity * (i + 1) / item.trailCount : opacity;
+    if (style === 'dots') {
+      context.beginPath();
+      context.arc(point.x, point.y, width / 2, 0, Math.PI * 2);
+      context.fill();
+    } else if (last && Math.abs(point.x - last.x) < maxJumpX && Math.abs(point.y - last.y) < maxJumpY) {
+      context.beginPath();
+      context.moveTo(last.x, last.y);
+      context.lineTo(point.x, point.y);
+      context.stroke();
+    }
+    last = point;
+  }
+
+  context.restore();
+};
+
+/**
+ * Returns a trail option or its default value.
+ * @private
+ */
+Trail._getOption = function(item, name, defaultValue) {
+  var trail = item.trail;
+  return typeof trail !== 'object' || typeof trail[name] === 'undefined' ? defaultValue : trail[name];
+};
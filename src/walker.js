@@ -42,6 +42,22 @@ Utils.extend(Walker, Mover);
  *    world boundaries.
  * @param {number} [opt_options.avoidWorldEdgesStrength = 0] The distance threshold for object
  *    start steering away from world boundaries.
+ * @param {boolean} [opt_options.fixedTimestep = false] If true, object steps in fixed increments of dt based on the
+ *    time elapsed since the last frame instead of once per frame.
+ * @param {number} [opt_options.dt = 1] The length of a fixed timestep in 60 Hz frames.
+ * @param {number} [opt_options.maxSubsteps = 5] The maximum number of fixed timesteps per frame.
+ * @param {boolean|Object} [opt_options.trail = null] If set, object draws a trail behind it. Pass true or a map of
+ *    length, fade, width, style ('line' or 'dots') and color. See Trail.
+ * @param {Array} [opt_options.tags = []] A list of strings that describe object. Sensors can detect objects by tag.
+ * @param {number} [opt_options.angularVelocity = 0] The change in angle in degrees per step.
+ * @param {number} [opt_options.angularAcceleration = 0] The change in angular velocity in degrees per step.
+ * @param {Object} [opt_options.parent = null] A parent object. If set, object will be fixed to the parent relative to an offset distance.
+ *    If the parent is a Mover, object is added to the parent's children.
+ * @param {boolean} [opt_options.pointToParentDirection = false] If true, object points in the direction of the parent's velocity.
+ * @param {number} [opt_options.offsetDistance = 30] The distance from the center of the object's parent.
+ * @param {number} [opt_options.offsetAngle = 0] The rotation around the center of the object's parent.
+ * @param {number} [opt_options.scale = 1] The object's scale relative to its parent's scale.
+ * @param {boolean} [opt_options.destroyChildren = true] If true, destroying object also destroys its children.
  */
 Walker.prototype.init = function(opt_options) {
 
@@ -67,6 +83,35 @@ Walker.prototype.init = function(opt_options) {
   this.avoidWorldEdges = !!options.avoidWorldEdges;
   this.avoidWorldEdgesStrength = typeof options.avoidWorldEdgesStrength === 'undefined' ?
       50 : options.avoidWorldEdgesStrength;
+  this.fixedTimestep = !!options.fixedTimestep;
+  this.dt = typeof options.dt === 'undefined' ? 1 : options.dt;
+  this.maxSubsteps = typeof options.maxSubsteps === 'undefined' ? 5 : options.maxSubsteps;
+  this.timeAccumulator = 0; // used in Clock.getSteps()
+  this.trail = options.trail || null;
+  Trail.reset(this);
+  this.angularVelocity = options.angularVelocity || 0;
+  this.angularAcceleration = options.angularAcceleration || 0;
+  this.parent = null;
+  this.pointToParentDirection = !!options.pointToParentDirection;
+  this.offsetDistance = typeof options.offsetDistance === 'undefined' ? 30 : options.offsetDistance;
+  this.offsetAngle = options.offsetAngle || 0;
+  this.children = [];
+  this.localScale = typeof options.scale === 'undefined' ? 1 : options.scale;
+  this.scale = this.localScale;
+  this.destroyChildren = typeof options.destroyChildren === 'undefined' ? true : options.destroyChildren;
+  this.tags = options.tags || [];
+
+  //
+
+  this.randomTarget = {location: new Burner.Vector()}; // used in Walker.applyForces()
+
+  if (options.parent) {
+    if (options.parent.addChild) {
+      options.parent.addChild(this);
+    } else {
+      this.parent = options.parent;
+    }
+  }
 };
 
 /**
@@ -81,8 +126,10 @@ Walker.prototype.applyForces = function() {
     this.perlinTime += this.perlinSpeed;
 
     if (this.remainsOnScreen) {
-      this.acceleration = new Burner.Vector();
-      this.velocity = new Burner.Vector();
+      this.acceleration.x = 0;
+      this.acceleration.y = 0;
+      this.velocity.x = 0;
+      this.velocity.y = 0;
       this.location.x =  Utils.map(SimplexNoise.noise(this.perlinTime + this.offsetX, 0, 0.1), -1, 1, 0, this.world.bounds[1]);
       this.location.y =  Utils.map(SimplexNoise.noise(0, this.perlinTime + this.offsetY, 0.1), -1, 1, 0, this.world.bounds[2]);
     } else {
@@ -91,9 +138,9 @@ Walker.prototype.applyForces = function() {
     }
 
   } else if (this.random) {
-    this.seekTarget = { // find a random point and steer toward it
-      location: Burner.Vector.VectorAdd(this.location, new Burner.Vector(Utils.getRandomNumber(-this.randomRadius, this.randomRadius), Utils.getRandomNumber(-this.randomRadius, this.randomRadius)))
-    };
+    this.seekTarget = this.randomTarget; // find a random point and steer toward it
+    this.seekTarget.location.x = this.location.x + Utils.getRandomNumber(-this.randomRadius, this.randomRadius);
+    this.seekTarget.location.y = this.location.y + Utils.getRandomNumber(-this.randomRadius, this.randomRadius);
     this.applyForce(this._seek(this.seekTarget));
   }
 